@@ -77,6 +77,33 @@ self.addEventListener("activate", (event) => {
   );
 });
 
+/* -------------------------------------------------------------------------- */
+/* DRIVE STREAMING – <video> can't send the OAuth token, so ./__drive/<id>
+   asks the page for it and forwards the request (Range included) to Drive
+-------------------------------------------------------------------------- */
+const DRIVE_ROUTE = "/__drive/";
+
+function askClient(client, message) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => resolve(e.data);
+    client.postMessage(message, [channel.port2]);
+    setTimeout(() => resolve(null), 5000);
+  });
+}
+
+async function streamDriveFile(event) {
+  const fileId = new URL(event.request.url).pathname.split(DRIVE_ROUTE)[1] || "";
+  const client = event.clientId && await self.clients.get(event.clientId);
+  const auth = client ? await askClient(client, { type: "DRIVE_TOKEN" }) : null;
+  if (!auth?.token) return new Response("Google Drive is not connected.", { status: 401 });
+
+  const headers = { Authorization: `Bearer ${auth.token}` };
+  const range = event.request.headers.get("Range");
+  if (range) headers.Range = range;
+  return fetch(`${auth.apiBase}/drive/v3/files/${fileId}?alt=media`, { headers });
+}
+
 /* -------------------------------------------------------------------------- */
 /* FETCH – HARD BYPASS Firebase & Google APIs (CRITICAL FIX)
    Firebase Storage resumable uploads CANNOT pass through a SW.
@@ -85,6 +112,11 @@ self.addEventListener("activate", (event) => {
 self.addEventListener("fetch", (event) => {
   const url = event.request.url;
 
+  if (new URL(url).pathname.includes(DRIVE_ROUTE)) {
+    event.respondWith(streamDriveFile(event));
+    return;
+  }
+
   // 🚫 ABSOLUTE BYPASS — do NOT touch, log, cache, or inspect
   if (
     url.includes("firebasestorage.googleapis.com") ||
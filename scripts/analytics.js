@@ -192,6 +192,14 @@ function setupTooltips() {
 /* LOGIC PART 1: TOP SECTION (Controlled by List)
 /* -------------------------------------------------------------------------- */
 
+// ⏱️ Timing filter: "overtime" | "ontime" (recorded against a target) | "all"
+function matchesTimingFilter(v) {
+    const filter = document.getElementById("analytics-timing-filter")?.value || "all";
+    if (filter === "overtime") return v.overtime === true;
+    if (filter === "ontime") return v.targetDuration > 0 && !v.overtime;
+    return true;
+}
+
 function updateGlobalDashboard(className) {
     TOP_SECTION_CLASS = className;
 
@@ -218,7 +226,7 @@ function updateGlobalDashboard(className) {
         const matchYear = (filterYear === "all") || (vidYear === filterYear);
         const matchTerm = (filterTerm === "all") || (vidTerm === filterTerm);
 
-        return matchClass && matchYear && matchTerm;
+        return matchClass && matchYear && matchTerm && matchesTimingFilter(v);
     });
 
     const stats = computeStats(globalVideos);
@@ -259,7 +267,7 @@ export function updateRubricSection() {
         const matchYear = (filterYear === "all") || (vidYear === filterYear);
         const matchTerm = (filterTerm === "all") || (vidTerm === filterTerm);
 
-        return matchClass && matchYear && matchTerm;
+        return matchClass && matchYear && matchTerm && matchesTimingFilter(v);
     });
 
     // 2. Determine Context Labels
@@ -820,9 +828,51 @@ function renderStudentMatrix(studentName, myVideos, classVideos) {
       });
   }
   html += `</div>`;
+  html += renderTagCategoryBreakdown(studentName, myVideos, classVideos);
   container.innerHTML = html;
 }
 
+// 🏷️ Marker categories for one student vs. the class average per student
+function renderTagCategoryBreakdown(studentName, myVideos, classVideos) {
+  const countByCategory = (videos) => {
+      const counts = {};
+      videos.forEach(v => (Array.isArray(v.tags) ? v.tags : []).forEach(t => {
+          const key = t.category || "Uncategorised";
+          // Tag data is user-entered, so only a hex colour reaches the style attribute
+          if (!counts[key]) counts[key] = { count: 0, color: /^#[0-9a-f]{3,8}$/i.test(t.color || "") ? t.color : "#6b7280" };
+          counts[key].count += 1;
+      }));
+      return counts;
+  };
+
+  const mine = countByCategory(myVideos);
+  const classCounts = countByCategory(classVideos);
+  const classStudents = new Set(classVideos.map(v => v.participant)).size || 1;
+
+  const categories = Object.keys(mine).sort((a, b) => mine[b].count - mine[a].count);
+  if (categories.length === 0) return "";
+
+  return `
+    <div class="mt-6 bg-gray-900 border border-white/5 rounded-lg p-4 break-inside-avoid">
+      <div class="text-sm font-bold text-gray-500 uppercase tracking-widest mb-3">Marker Categories</div>
+      <div class="space-y-2">
+        ${categories.map(cat => {
+            const classAvg = (classCounts[cat]?.count || 0) / classStudents;
+            return `
+            <div class="flex items-center justify-between text-sm">
+              <div class="flex items-center gap-2 text-white">
+                <span class="w-2.5 h-2.5 rounded-full" style="background-color: ${UI.escapeHtml(mine[cat].color)}"></span>${UI.escapeHtml(cat)}
+              </div>
+              <div class="flex items-center gap-6">
+                <span class="font-bold text-white">${mine[cat].count}</span>
+                <span class="text-xs text-gray-500 w-28 text-right">Class avg ${classAvg.toFixed(1)}</span>
+              </div>
+            </div>`;
+        }).join("")}
+      </div>
+    </div>`;
+}
+
 /* -------------------------------------------------------------------------- */
 /* UTILS & DATA
 /* -------------------------------------------------------------------------- */
@@ -868,6 +918,9 @@ function populateFilterDropdowns() {
     const termSelect = document.getElementById("analytics-term-filter");
     if (yearSelect) yearSelect.onchange = () => { updateGlobalDashboard(classSelect.value); };
     if (termSelect) termSelect.onchange = () => { updateGlobalDashboard(classSelect.value); };
+
+    const timingSelect = document.getElementById("analytics-timing-filter");
+    if (timingSelect) timingSelect.onchange = () => { updateGlobalDashboard(classSelect.value); };
 }
 
 function populateStudentDropdown() {
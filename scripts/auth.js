@@ -27,7 +27,11 @@ import * as UI from "./ui.js";
 
 // Import Firestore module for db operations
 import * as DB from "./firestore.js";
-import { flushOfflineQueue } from "./firestore.js";
+import { flushOfflineQueue } from "./queue.js";
+import { recoverOrphanedRecordings } from "./record.js";
+import { loadTagPresets } from "./tags.js";
+import { startRetentionSchedule, stopRetentionSchedule } from "./retention.js";
+import { purgeExpiredTrash } from "./trash.js";
 
 /* -------------------------------------------------------------------------- */
 /* Internal State
@@ -35,6 +39,7 @@ import { flushOfflineQueue } from "./firestore.js";
 
 let unsubscribeUserSnap = null;
 let currentUserUid = null;
+let reconciledUid = null; // Storage usage rebuilt for this user this session
 let authListenerAttached = false; // Prevents duplicate auth listeners
 
 /* -------------------------------------------------------------------------- */
@@ -229,6 +234,12 @@ async function handleUserFound(user) {
             } catch (queueErr) {
                 console.warn("[Auth] Failed to flush offline queue:", queueErr);
             }
+
+            // 💾 Profiles from before the storage ledger carry estimated usage; rebuild once
+            if (!profileData.storageReconciledAt && reconciledUid !== user.uid) {
+                reconciledUid = user.uid;
+                DB.recalculateStorageUsage({ silent: true });
+            }
         },
         (error) => {
             console.error("[Auth] Profile snapshot error:", error);
@@ -312,6 +323,17 @@ onAuthStateChanged(UI.auth, async (user) => {
             UI.setClassData(classes);
             DB.refreshClassesList?.();
             UI.refreshMetadataClassList?.();
+
+            loadTagPresets();
+
+            // 💾 Offer to rebuild recordings interrupted by a crash/reload
+            recoverOrphanedRecordings();
+
+            // 🗓️ Archive/delete dates on classes
+            startRetentionSchedule();
+
+            // 🗑 Trash items past the keep window
+            purgeExpiredTrash();
         } catch (e) {
             if (!UI.auth.currentUser || UI.auth.currentUser.uid !== user.uid) {
                 console.warn("[Auth] Ignoring stale class error.");
@@ -323,6 +345,7 @@ onAuthStateChanged(UI.auth, async (user) => {
         }
     } else {
         cleanupUserSnapshotListener();
+        stopRetentionSchedule();
         currentUserUid = null;
 
         UI.updateUIAfterAuth(null, {
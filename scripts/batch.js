@@ -0,0 +1,519 @@
+/* ========================================================================== */
+/* MODULE: batch.js
+/* Batch import of many local videos (multi-select or a whole folder).
+/* - Filenames/folders are fuzzy-matched to class rosters ("Period3_JaneDoe.mp4")
+/* - Matches can be corrected in a table before anything is uploaded
+/* - One rubric for the whole batch; files upload one at a time via saveRecording
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+import * as Rubrics from "./rubrics.js";
+import { saveRecording, loadLibrary } from "./firestore.js";
+import { getVideoDurationFromFile } from "./record.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const MATCH_GOOD = 0.85;   // Confident — shown green
+const MATCH_MIN = 0.6;     // Below this we don't guess at all
+const CLASS_WEIGHT = 0.35; // Class/folder name only breaks ties between rosters
+
+let batchItems = [];       // [{ key, file, path, classId, participant, confidence, status, progress, error }]
+let batchRunning = false;
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function isVideoFile(file) {
+  return (file.type && file.type.startsWith("video/")) ||
+    /\.(mp4|webm|mov|m4v)$/i.test(file.name || "");
+}
+
+function normalize(str) {
+  return String(str ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+// "Period 3/Period3_JaneDoe.mp4" → ["period", "3", "period", "3", "jane", "doe"]
+function toTokens(str) {
+  return String(str ?? "")
+    .replace(/\.[^./]+$/, "")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/([A-Za-z])(\d)/g, "$1 $2")
+    .replace(/(\d)([A-Za-z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9\u00C0-\u024F]+/)
+    .map(normalize)
+    .filter(Boolean);
+}
+
+// Runs of 1..maxLen consecutive tokens, joined ("jane", "janedoe", ...)
+function tokenWindows(tokens, maxLen) {
+  const out = [];
+  for (let i = 0; i < tokens.length; i++) {
+    let w = "";
+    for (let j = i; j < Math.min(tokens.length, i + maxLen); j++) {
+      w += tokens[j];
+      out.push(w);
+    }
+  }
+  return out;
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// How well a roster name appears in the file's tokens (0..1)
+function nameScore(name, tokens) {
+  const parts = toTokens(name);
+  if (!parts.length) return 0;
+
+  const full = parts.join("");
+  const reversed = [...parts].reverse().join(""); // "Doe_Jane"
+  const joined = tokens.join("");
+  if (joined.includes(full) || joined.includes(reversed)) return 1;
+
+  let best = 0;
+  tokenWindows(tokens, parts.length + 1).forEach(w => {
+    best = Math.max(best, similarity(full, w), similarity(reversed, w));
+  });
+
+  // First name on its own ("Jane.mp4") is a hint, never a sure thing
+  if (parts.length > 1 && tokens.includes(parts[0])) best = Math.max(best, MATCH_MIN);
+  return best;
+}
+
+// How well a class title appears in the file/folder tokens (0..1)
+function classScore(title, tokens) {
+  const target = normalize(title);
+  if (!target) return 0;
+
+  let best = 0;
+  tokenWindows(tokens, 4).forEach(w => {
+    if (w.length >= 3 && w.includes(target)) best = 1;
+    else if (w.length >= 3 && target.includes(w)) best = Math.max(best, 0.5 + 0.5 * (w.length / target.length));
+    else best = Math.max(best, similarity(target, w));
+  });
+  return best;
+}
+
+function activeClasses() {
+  return Object.values(UI.classData || {}).filter(c => !c.archived);
+}
+
+function guessMatch(path) {
+  const tokens = toTokens(path);
+  let best = { classId: "", participant: "", confidence: 0, score: 0 };
+
+  activeClasses().forEach(cls => {
+    const cScore = classScore(cls.title, tokens);
+
+    (cls.participants || []).forEach(name => {
+      const pScore = nameScore(name, tokens);
+      const score = pScore + CLASS_WEIGHT * cScore;
+      if (pScore >= MATCH_MIN && score > best.score) {
+        best = { classId: cls.id, participant: name, confidence: pScore, score };
+      }
+    });
+
+    // Nobody recognised yet — still take a clear class/folder match
+    if (!best.participant && cScore >= MATCH_MIN && cScore * CLASS_WEIGHT > best.score) {
+      best = { classId: cls.id, participant: "", confidence: 0, score: cScore * CLASS_WEIGHT };
+    }
+  });
+
+  return best;
+}
+
+// Re-run the name match inside one roster (after the class is changed by hand)
+function guessParticipantInClass(path, classId) {
+  const tokens = toTokens(path);
+  let best = { participant: "", confidence: 0 };
+  (UI.classData?.[classId]?.participants || []).forEach(name => {
+    const s = nameScore(name, tokens);
+    if (s >= MATCH_MIN && s > best.confidence) best = { participant: name, confidence: s };
+  });
+  return best;
+}
+
+function buildMetadata(item, rubric, duration) {
+  const cls = UI.classData?.[item.classId];
+  const timing = UI.getTimingState(duration, cls);
+  const format = UI.getContainerInfo(item.file.type, item.file.name);
+
+  return {
+    organization: window.USER_PROFILE?.organization || "Default Organization",
+    instructor: window.USER_PROFILE?.instructorName || UI.currentUser?.email || "Instructor",
+    id: null,
+
+    classEventId: item.classId,
+    classEventTitle: cls?.title || "N/A",
+
+    participants: [item.participant],
+    participant: item.participant,
+
+    recordingType: "individual",
+    isGroup: false,
+    groupName: null,
+
+    notes: null,
+    tags: [],
+
+    fileSize: item.file.size,
+    duration,
+    mediaDuration: duration,
+    trimStart: 0,
+    trimEnd: null,
+    mimeType: format.mimeType,
+    container: format.ext,
+    segments: [],
+
+    targetDuration: timing?.target ?? null,
+    durationTolerance: timing ? timing.tolerance : null,
+    actualDuration: duration,
+    overtime: timing?.overtime ?? false,
+
+    silentSeconds: null,
+
+    // The camera's file time is closer to the real event than "now"
+    recordedAt: new Date(item.file.lastModified || Date.now()).toISOString(),
+
+    hasScore: false,
+    rubricId: rubric?.id || null,
+    rubricTitle: rubric?.title || null,
+
+    finalScores: {},
+    totalScore: 0,
+    rowNotes: {},
+    scoreHistory: []
+  };
+}
+
+function updateSummary() {
+  const summary = UI.$("#batch-import-summary");
+  const startBtn = UI.$("#batch-import-start-btn");
+
+  const pending = batchItems.filter(i => i.status === "pending" || i.status === "error");
+  const ready = pending.filter(i => i.classId && i.participant);
+  const done = batchItems.filter(i => i.status === "done" || i.status === "queued").length;
+
+  if (summary) {
+    summary.textContent = batchItems.length
+      ? `${batchItems.length} file(s) · ${ready.length} ready · ${pending.length - ready.length} need a match · ${done} imported`
+      : "Add files or a folder to start.";
+  }
+
+  if (startBtn) {
+    startBtn.disabled = batchRunning || ready.length === 0;
+    startBtn.textContent = batchRunning ? "Importing..." : `Import ${ready.length} Video${ready.length === 1 ? "" : "s"}`;
+  }
+
+  ["#batch-add-files-btn", "#batch-add-folder-btn", "#batch-import-close-btn", "#batch-rubric-select"]
+    .forEach(sel => { const el = UI.$(sel); if (el) el.disabled = batchRunning; });
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+function statusHtml(item) {
+  switch (item.status) {
+    case "uploading":
+      return `
+        <div class="w-24 h-1.5 bg-white/10 rounded-full overflow-hidden">
+          <div class="h-full bg-[#0033A0] transition-all" style="width: ${Math.round(item.progress)}%"></div>
+        </div>
+        <span class="text-[10px] text-gray-400">${Math.round(item.progress)}%</span>`;
+    case "done":
+      return `<span class="text-xs text-green-400">✓ Imported</span>`;
+    case "queued":
+      return `<span class="text-xs text-amber-400" title="Saved to the device queue; uploads when back online">⏳ Queued</span>`;
+    case "error":
+      return `<span class="text-xs text-red-400" title="${UI.escapeHtml(item.error)}">✕ ${UI.escapeHtml(item.error)}</span>`;
+    default:
+      return `<span class="text-xs text-gray-500">Waiting</span>`;
+  }
+}
+
+function confidenceHtml(item) {
+  if (!item.participant) return `<span class="text-[10px] px-1.5 py-0.5 rounded bg-red-500/10 text-red-300">No match</span>`;
+  if (item.confidence === null) return `<span class="text-[10px] px-1.5 py-0.5 rounded bg-white/10 text-gray-300">Manual</span>`;
+
+  const pct = Math.round(item.confidence * 100);
+  return item.confidence >= MATCH_GOOD
+    ? `<span class="text-[10px] px-1.5 py-0.5 rounded bg-green-500/10 text-green-300">${pct}%</span>`
+    : `<span class="text-[10px] px-1.5 py-0.5 rounded bg-amber-500/10 text-amber-300" title="Please check this match">${pct}%</span>`;
+}
+
+function renderRow(item) {
+  const tbody = UI.$("#batch-import-rows");
+  if (!tbody) return;
+
+  let tr = tbody.querySelector(`[data-batch-key="${CSS.escape(item.key)}"]`);
+  if (!tr) {
+    tr = document.createElement("tr");
+    tr.dataset.batchKey = item.key;
+    tr.className = "border-b border-white/5 align-middle";
+    tbody.appendChild(tr);
+  }
+
+  const locked = batchRunning || item.status === "done" || item.status === "queued" || item.status === "uploading";
+
+  const classOpts = [`<option value="">Select class…</option>`]
+    .concat(activeClasses().map(c =>
+      `<option value="${UI.escapeHtml(c.id)}" ${c.id === item.classId ? "selected" : ""}>${UI.escapeHtml(c.title || "Untitled")}</option>`))
+    .join("");
+
+  const roster = UI.classData?.[item.classId]?.participants || [];
+  const studentOpts = [`<option value="">${item.classId ? "Select participant…" : "—"}</option>`]
+    .concat(roster.map(name =>
+      `<option value="${UI.escapeHtml(name)}" ${name === item.participant ? "selected" : ""}>${UI.escapeHtml(name)}</option>`))
+    .join("");
+
+  const folder = item.path.includes("/") ? item.path.slice(0, item.path.lastIndexOf("/")) : "";
+
+  tr.innerHTML = `
+    <td class="py-2 pr-2 max-w-[220px]">
+      <div class="text-sm text-white truncate" title="${UI.escapeHtml(item.path)}">${UI.escapeHtml(item.file.name)}</div>
+      <div class="text-[10px] text-gray-500 truncate">${folder ? `${UI.escapeHtml(folder)} · ` : ""}${(item.file.size / 1024 / 1024).toFixed(1)} MB</div>
+    </td>
+    <td class="py-2 pr-2">
+      <select class="batch-class w-full rounded bg-black/30 border border-white/10 p-1.5 text-xs text-white" ${locked ? "disabled" : ""}>${classOpts}</select>
+    </td>
+    <td class="py-2 pr-2">
+      <select class="batch-participant w-full rounded bg-black/30 border border-white/10 p-1.5 text-xs text-white" ${locked || !item.classId ? "disabled" : ""}>${studentOpts}</select>
+    </td>
+    <td class="py-2 pr-2 text-center">${confidenceHtml(item)}</td>
+    <td class="py-2 pr-2 batch-status">${statusHtml(item)}</td>
+    <td class="py-2 text-right">
+      <button type="button" class="batch-remove text-red-400 hover:text-red-300 text-sm px-2 disabled:opacity-30" title="Remove" ${locked ? "disabled" : ""}>✕</button>
+    </td>
+  `;
+
+  tr.querySelector(".batch-class").onchange = (e) => {
+    item.classId = e.target.value;
+    const guess = guessParticipantInClass(item.path, item.classId);
+    item.participant = guess.participant;
+    item.confidence = guess.confidence;
+    renderRow(item);
+    updateSummary();
+  };
+
+  tr.querySelector(".batch-participant").onchange = (e) => {
+    item.participant = e.target.value;
+    item.confidence = item.participant ? null : 0; // Picked by hand
+    renderRow(item);
+    updateSummary();
+  };
+
+  tr.querySelector(".batch-remove").onclick = () => {
+    batchItems = batchItems.filter(i => i !== item);
+    tr.remove();
+    updateSummary();
+  };
+}
+
+function renderBatchTable() {
+  const tbody = UI.$("#batch-import-rows");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  batchItems.forEach(renderRow);
+  updateSummary();
+}
+
+function renderRubricOptions() {
+  const select = UI.$("#batch-rubric-select");
+  if (!select) return;
+
+  const active = Rubrics.getActiveRubric();
+  const all = Rubrics.getAllRubrics?.() || [];
+
+  select.innerHTML = `<option value="">${active ? `Active: ${UI.escapeHtml(active.title)}` : "⚠ No rubric"}</option>`;
+  all.forEach(r => {
+    const opt = document.createElement("option");
+    opt.value = r.id;
+    opt.textContent = r.title;
+    select.appendChild(opt);
+  });
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+/**
+ * Adds files (FileList or array) to the batch and guesses class/participant
+ * for each. Non-video files (e.g. from a folder pick) are skipped.
+ */
+export function addBatchFiles(fileList) {
+  const files = [...(fileList || [])];
+  const videos = files.filter(isVideoFile);
+
+  const skipped = files.length - videos.length;
+  if (skipped > 0) UI.toast(`Skipped ${skipped} non-video file(s).`, "info");
+
+  videos.forEach(file => {
+    const path = file.webkitRelativePath || file.name;
+    const key = `${path}|${file.size}|${file.lastModified}`;
+    if (batchItems.some(i => i.key === key)) return;
+
+    const guess = guessMatch(path);
+    batchItems.push({
+      key,
+      file,
+      path,
+      classId: guess.classId,
+      participant: guess.participant,
+      confidence: guess.confidence,
+      status: "pending",
+      progress: 0,
+      error: null
+    });
+  });
+
+  renderBatchTable();
+}
+
+export async function openBatchImport(fileList = []) {
+  const dialog = UI.$("#batch-import-screen");
+  if (!dialog) return;
+
+  if (!UI.currentUser) {
+    UI.toast("Sign in to import videos.", "error");
+    return;
+  }
+
+  // A finished batch shouldn't linger into the next one
+  if (!batchRunning && batchItems.length && batchItems.every(i => i.status === "done" || i.status === "queued")) {
+    batchItems = [];
+  }
+
+  await Rubrics.loadSavedRubrics();
+  renderRubricOptions();
+  addBatchFiles(fileList);
+
+  if (!dialog.open) dialog.showModal();
+}
+
+export function closeBatchImport() {
+  if (batchRunning) {
+    UI.toast("Import in progress. Please wait for it to finish.", "warn");
+    return;
+  }
+  UI.$("#batch-import-screen")?.close();
+}
+
+// Esc on the dialog
+export function handleBatchDialogCancel(e) {
+  if (batchRunning) e.preventDefault();
+}
+
+export async function startBatchImport() {
+  if (batchRunning) return;
+
+  const pending = batchItems.filter(i => i.status === "pending" || i.status === "error");
+  const ready = pending.filter(i => i.classId && i.participant);
+  const incomplete = pending.length - ready.length;
+
+  if (ready.length === 0) {
+    UI.toast("No files are matched to a class and participant yet.", "error");
+    return;
+  }
+
+  if (incomplete > 0) {
+    const ok = await UI.showConfirm(
+      `${incomplete} file(s) have no class or participant and will be skipped.`,
+      "Incomplete Matches",
+      `Import ${ready.length}`
+    );
+    if (!ok) return;
+  }
+
+  const rubricId = UI.$("#batch-rubric-select")?.value;
+  const rubric = rubricId
+    ? (Rubrics.getAllRubrics?.() || []).find(r => r.id === rubricId) || null
+    : Rubrics.getActiveRubric();
+
+  batchRunning = true;
+  batchItems.forEach(renderRow);
+  updateSummary();
+
+  let imported = 0;
+  let failed = 0;
+
+  for (const item of ready) {
+    item.status = "uploading";
+    item.progress = 0;
+    item.error = null;
+    renderRow(item);
+
+    try {
+      const duration = await getVideoDurationFromFile(item.file).catch(err => {
+        console.warn("[Batch] Could not detect duration:", item.path, err);
+        return 0;
+      });
+
+      const result = await saveRecording(buildMetadata(item, rubric, duration), item.file, {
+        onProgress: pct => {
+          item.progress = pct;
+          const cell = UI.$(`[data-batch-key="${CSS.escape(item.key)}"] .batch-status`);
+          if (cell) cell.innerHTML = statusHtml(item);
+        }
+      });
+
+      item.status = result?.queued ? "queued" : "done";
+      imported++;
+    } catch (err) {
+      console.error("[Batch] Import failed:", item.path, err);
+      item.status = "error";
+      item.error = err.message === "STORAGE_LIMIT_EXCEEDED" ? "Storage full" : (err.message || "Failed");
+      failed++;
+
+      // No point trying the rest if the account is full
+      if (err.message === "STORAGE_LIMIT_EXCEEDED") {
+        UI.toast("Storage limit reached. Remaining files were not imported.", "error");
+        break;
+      }
+    } finally {
+      renderRow(item);
+      updateSummary();
+    }
+  }
+
+  batchRunning = false;
+  batchItems.forEach(renderRow);
+  updateSummary();
+
+  UI.toast(
+    failed ? `Imported ${imported} video(s), ${failed} failed.` : `Imported ${imported} video(s)!`,
+    failed ? "warn" : "success"
+  );
+
+  await loadLibrary();
+}
@@ -0,0 +1,213 @@
+/* ========================================================================== */
+/* MODULE: boundaries.js
+/* Offline audio pass that proposes handover points in long recordings.
+/* - Decodes + band-limits the audio with an OfflineAudioContext (speech band)
+/* - Long silences → "pause" proposals (placed where talking resumes)
+/* - Big loudness shifts (new speaker / distance to mic) → "change" proposals
+/* - Nothing is saved here; the player (saved videos) and the metadata screen
+/*   (a recording or import before saving) let the teacher accept or dismiss each
+/* - Files over 600 MB are refused (TOO_LARGE) instead of exhausting memory
+/* ========================================================================== */
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const ANALYSIS_RATE = 8000;     // Hz — plenty for speech energy
+const FRAME_SEC = 0.05;         // RMS frame length
+const MIN_PAUSE_SEC = 2.5;      // Shorter gaps are just breaths
+const CHANGE_WINDOW_SEC = 5;    // Compare this much audio before vs after
+const CHANGE_DB = 6;            // Minimum loudness jump to count as a change
+const MERGE_SEC = 5;            // Proposals closer than this collapse into one
+const NEAR_TAG_SEC = 3;         // Skip proposals right on top of existing markers
+const MAX_PROPOSALS = 40;
+const MAX_INPUT_BYTES = 600 * 1024 * 1024; // The whole file sits in memory while it decodes
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+// Reads the file, refusing anything too big to decode in one go
+async function readSource(source) {
+  if (source instanceof Blob) {
+    if (source.size > MAX_INPUT_BYTES) throw new Error("TOO_LARGE");
+    return source.arrayBuffer();
+  }
+
+  const res = await fetch(source);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  if (Number(res.headers.get("content-length")) > MAX_INPUT_BYTES) {
+    res.body?.cancel().catch(() => {});
+    throw new Error("TOO_LARGE");
+  }
+  const arrayBuffer = await res.arrayBuffer();
+  if (arrayBuffer.byteLength > MAX_INPUT_BYTES) throw new Error("TOO_LARGE");
+  return arrayBuffer;
+}
+
+async function decodeSpeechBand(arrayBuffer) {
+  const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineCtx) throw new Error("NO_OFFLINE_AUDIO");
+
+  // decodeAudioData resamples to the context rate, which keeps memory down
+  const decodeCtx = new OfflineCtx(1, 1, ANALYSIS_RATE);
+  const decoded = await decodeCtx.decodeAudioData(arrayBuffer);
+
+  const ctx = new OfflineCtx(1, decoded.length, ANALYSIS_RATE);
+  const src = ctx.createBufferSource();
+  src.buffer = decoded;
+
+  const highpass = ctx.createBiquadFilter();
+  highpass.type = "highpass";
+  highpass.frequency.value = 120;
+
+  const lowpass = ctx.createBiquadFilter();
+  lowpass.type = "lowpass";
+  lowpass.frequency.value = 3400;
+
+  src.connect(highpass).connect(lowpass).connect(ctx.destination);
+  src.start();
+
+  const rendered = await ctx.startRendering();
+  return rendered.getChannelData(0);
+}
+
+// RMS level per frame, in dBFS
+function frameLevels(samples) {
+  const size = Math.round(ANALYSIS_RATE * FRAME_SEC);
+  const levels = new Float32Array(Math.floor(samples.length / size));
+
+  for (let f = 0; f < levels.length; f++) {
+    let sum = 0;
+    const base = f * size;
+    for (let i = 0; i < size; i++) {
+      const s = samples[base + i];
+      sum += s * s;
+    }
+    levels[f] = 20 * Math.log10(Math.sqrt(sum / size) + 1e-8);
+  }
+  return levels;
+}
+
+function percentile(values, p) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  if (!sorted.length) return -100;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function findPauses(levels, threshold) {
+  const out = [];
+  const minFrames = Math.ceil(MIN_PAUSE_SEC / FRAME_SEC);
+  let runStart = -1;
+
+  for (let f = 0; f <= levels.length; f++) {
+    const quiet = f < levels.length && levels[f] < threshold;
+    if (quiet && runStart < 0) runStart = f;
+    if (!quiet && runStart >= 0) {
+      const len = f - runStart;
+      // Skip the leading silence before anyone has spoken
+      if (len >= minFrames && runStart > 0 && f < levels.length) {
+        const seconds = len * FRAME_SEC;
+        out.push({
+          time: Math.max(runStart * FRAME_SEC, f * FRAME_SEC - 0.5),
+          kind: "pause",
+          score: Math.min(1, seconds / 10),
+          label: `Pause ${Math.round(seconds)}s`
+        });
+      }
+      runStart = -1;
+    }
+  }
+  return out;
+}
+
+function findLevelChanges(levels, threshold) {
+  // Average voiced level per second (silence would drag the means around)
+  const perSec = Math.round(1 / FRAME_SEC);
+  const seconds = [];
+  for (let s = 0; s * perSec < levels.length; s++) {
+    let sum = 0;
+    let n = 0;
+    for (let f = s * perSec; f < Math.min(levels.length, (s + 1) * perSec); f++) {
+      if (levels[f] >= threshold) { sum += levels[f]; n++; }
+    }
+    seconds.push(n ? sum / n : null);
+  }
+
+  const mean = (from, to) => {
+    const vals = seconds.slice(Math.max(0, from), Math.max(0, to)).filter(v => v != null);
+    return vals.length >= CHANGE_WINDOW_SEC / 2 ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+  };
+
+  const diffs = seconds.map((_, t) => {
+    const before = mean(t - CHANGE_WINDOW_SEC, t);
+    const after = mean(t, t + CHANGE_WINDOW_SEC);
+    return before == null || after == null ? 0 : Math.abs(after - before);
+  });
+
+  const out = [];
+  diffs.forEach((d, t) => {
+    if (d < CHANGE_DB) return;
+    const lo = Math.max(0, t - CHANGE_WINDOW_SEC);
+    const hi = Math.min(diffs.length, t + CHANGE_WINDOW_SEC + 1);
+    if (diffs.slice(lo, hi).some((x, i) => x > d || (x === d && lo + i < t))) return; // Local peak only
+    out.push({
+      time: t,
+      kind: "change",
+      score: Math.min(1, d / 15),
+      label: `Level change ${Math.round(d)} dB`
+    });
+  });
+  return out;
+}
+
+function mergeProposals(list) {
+  const out = [];
+  [...list].sort((a, b) => a.time - b.time).forEach(p => {
+    const last = out[out.length - 1];
+    if (last && p.time - last.time < MERGE_SEC) {
+      // Pauses are the more reliable handover signal
+      const better = (p.kind === "pause") !== (last.kind === "pause")
+        ? (p.kind === "pause" ? p : last)
+        : (p.score > last.score ? p : last);
+      out[out.length - 1] = better;
+    } else {
+      out.push(p);
+    }
+  });
+  return out;
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+/**
+ * Analyses a video's audio and returns proposed markers:
+ * [{ time, kind: "pause" | "change", score, label }]
+ * source: Blob or URL. opts: { start, end, existingTimes }
+ * Throws TOO_LARGE for files too big to decode in memory.
+ */
+export async function detectBoundaries(source, opts = {}) {
+  const arrayBuffer = await readSource(source);
+  const samples = await decodeSpeechBand(arrayBuffer);
+  const levels = frameLevels(samples);
+  if (!levels.length) return [];
+
+  // Silence = close to the recording's own noise floor, well under typical speech
+  const floor = percentile(levels, 0.1);
+  const median = percentile(levels, 0.5);
+  const threshold = Math.min(floor + 8, median - 6);
+
+  const start = Number(opts.start) || 0;
+  const end = opts.end != null ? Number(opts.end) : Infinity;
+  const existing = opts.existingTimes || [];
+
+  return mergeProposals([...findPauses(levels, threshold), ...findLevelChanges(levels, threshold)])
+    .filter(p => p.time > start + 1 && p.time < end - 1)
+    .filter(p => !existing.some(t => Math.abs(t - p.time) < NEAR_TAG_SEC))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_PROPOSALS)
+    .sort((a, b) => a.time - b.time)
+    .map(p => ({ ...p, time: Math.round(p.time * 10) / 10 }));
+}
@@ -0,0 +1,349 @@
+/* ========================================================================== */
+/* MODULE: captions.js
+/* WebVTT / SRT transcripts attached to library videos.
+/* - Parsed into cues and stored in videos/{id}/captions/main; the video doc
+/*   only carries the small `captions` summary
+/* - Shown as a <track> on #main-player and a synced, searchable panel
+/* - findTranscriptMatch() powers the library's transcript search, over cues
+/*   fetched on demand by loadTranscripts()
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+import { saveVideoCaptions, getVideoTranscript, loadLibrary } from "./firestore.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const MAX_TRANSCRIPT_BYTES = 700_000; // Keep the captions doc well under Firestore's 1 MB
+
+let captionVideo = null;   // Video doc open in the player
+let cues = [];             // [{ start, end, text }]
+let trackUrl = null;
+let activeCueIndex = -1;
+
+const transcriptCache = new Map();   // cacheKey(video) → cues, for library search
+const loadingKeys = new Set();
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+// "01:02:03.456", "02:03.456" or SRT's "01:02:03,456" → seconds
+function parseTimestamp(ts) {
+  const parts = ts.trim().replace(",", ".").split(":").map(Number);
+  if (parts.some(n => Number.isNaN(n))) return null;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+// Drops styling/voice tags (<v Jane>, <i>, {\an8}) but keeps the words
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]+>/g, "")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function getPlayer() {
+  return UI.$("#main-player");
+}
+
+// Re-attaching a file changes attachedAt, so stale cues are never reused
+function cacheKey(video) {
+  return `${video.id}:${video.captions?.attachedAt || ""}`;
+}
+
+function cachedCues(video) {
+  if (Array.isArray(video?.transcript) && video.transcript.length) return video.transcript;
+  return transcriptCache.get(cacheKey(video)) || null;
+}
+
+function cueAt(time) {
+  return cues.findIndex(c => time >= c.start && time < c.end);
+}
+
+/* ========================================================================== */
+/* PARSING
+/* ========================================================================== */
+
+/**
+ * Parses WebVTT or SRT text into [{ start, end, text }], sorted by start.
+ * Throws "CAPTIONS_EMPTY" when nothing usable is found.
+ */
+export function parseCaptions(raw) {
+  const text = String(raw ?? "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const blocks = text.split(/\n{2,}/);
+  const out = [];
+
+  blocks.forEach(block => {
+    const lines = block.split("\n").filter(l => l.trim() !== "");
+    const timingIdx = lines.findIndex(l => l.includes("-->"));
+    if (timingIdx < 0) return; // WEBVTT header, NOTE, STYLE, SRT index-only lines
+
+    const [from, to] = lines[timingIdx].split("-->");
+    const start = parseTimestamp(from);
+    const end = parseTimestamp((to || "").trim().split(/\s+/)[0] || ""); // Drop VTT cue settings
+    if (start == null || end == null || end <= start) return;
+
+    const body = cleanCueText(lines.slice(timingIdx + 1).join(" "));
+    if (body) out.push({ start, end, text: body });
+  });
+
+  if (!out.length) throw new Error("CAPTIONS_EMPTY");
+  return out.sort((a, b) => a.start - b.start);
+}
+
+export function cuesToVtt(list) {
+  return "WEBVTT\n\n" + list
+    .map(c => `${formatVttTime(c.start)} --> ${formatVttTime(c.end)}\n${c.text}`)
+    .join("\n\n") + "\n";
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+function renderTranscriptList() {
+  const list = UI.$("#transcript-list");
+  const info = UI.$("#transcript-info");
+  if (!list) return;
+
+  const query = (UI.$("#transcript-search")?.value || "").trim().toLowerCase();
+
+  if (info) {
+    info.textContent = captionVideo?.captions?.fileName
+      ? `${captionVideo.captions.fileName} · ${cues.length} cues`
+      : "No transcript attached";
+  }
+
+  if (!cues.length) {
+    list.innerHTML = `<p class="text-xs text-gray-500 italic">Attach a WebVTT (.vtt) or SRT (.srt) file from your captioning tool.</p>`;
+    return;
+  }
+
+  list.innerHTML = "";
+  cues.forEach((cue, i) => {
+    if (query && !cue.text.toLowerCase().includes(query)) return;
+
+    const row = document.createElement("button");
+    row.type = "button";
+    row.dataset.cueIndex = i;
+    row.className = "transcript-cue w-full text-left flex gap-2 px-2 py-1 rounded text-xs text-gray-300 hover:bg-white/5 transition-colors";
+
+    // Split the raw text on the query (the capture group keeps the hits), then
+    // escape each piece, so the match can't land inside an &amp; entity
+    let html = UI.escapeHtml(cue.text);
+    if (query) {
+      const re = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})`, "gi");
+      html = cue.text.split(re)
+        .map((part, n) => n % 2
+          ? `<mark class="bg-amber-400/30 text-white rounded px-0.5">${UI.escapeHtml(part)}</mark>`
+          : UI.escapeHtml(part))
+        .join("");
+    }
+
+    row.innerHTML = `<span class="font-mono text-[10px] text-gray-500 pt-0.5 flex-shrink-0">${UI.formatDuration(cue.start)}</span><span>${html}</span>`;
+    row.onclick = () => {
+      const player = getPlayer();
+      if (!player) return;
+      player.currentTime = cue.start;
+      player.play().catch(() => {});
+    };
+    list.appendChild(row);
+  });
+
+  activeCueIndex = -1;
+  highlightActiveCue();
+}
+
+function highlightActiveCue() {
+  const player = getPlayer();
+  const list = UI.$("#transcript-list");
+  if (!player || !list || !cues.length) return;
+
+  const idx = cueAt(player.currentTime);
+  if (idx === activeCueIndex) return;
+  activeCueIndex = idx;
+
+  list.querySelectorAll(".transcript-cue").forEach(el => {
+    const active = Number(el.dataset.cueIndex) === idx;
+    el.classList.toggle("bg-[#0033A0]/40", active);
+    el.classList.toggle("text-white", active);
+    if (active && !UI.$("#transcript-panel")?.classList.contains("hidden")) {
+      el.scrollIntoView({ block: "nearest", behavior: "smooth" });
+    }
+  });
+}
+
+function applyTrack() {
+  const player = getPlayer();
+  if (!player) return;
+
+  player.querySelectorAll("track[data-transcript]").forEach(t => t.remove());
+  if (trackUrl) URL.revokeObjectURL(trackUrl);
+  trackUrl = null;
+
+  if (!cues.length) return;
+
+  trackUrl = URL.createObjectURL(new Blob([cuesToVtt(cues)], { type: "text/vtt" }));
+  const track = document.createElement("track");
+  track.dataset.transcript = "true";
+  track.kind = "captions";
+  track.label = "Transcript";
+  track.srclang = captionVideo?.captions?.language || "en";
+  track.src = trackUrl;
+  track.default = true;
+  player.appendChild(track);
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+// Called when the player opens (video doc) or closes (null)
+export function setCaptionSource(video) {
+  captionVideo = video || null;
+  cues = (video && cachedCues(video)) || [];
+
+  const search = UI.$("#transcript-search");
+  if (search) search.value = "";
+  if (!captionVideo) UI.$("#transcript-panel")?.classList.add("hidden");
+
+  applyTrack();
+  renderTranscriptList();
+
+  const player = getPlayer();
+  if (player) {
+    player.removeEventListener("timeupdate", highlightActiveCue);
+    if (cues.length) player.addEventListener("timeupdate", highlightActiveCue);
+  }
+
+  // Cues load after the player opens; skip if another video opened meanwhile
+  if (video?.captions?.cueCount && !cues.length) {
+    getVideoTranscript(video).then(loaded => {
+      transcriptCache.set(cacheKey(video), loaded);
+      if (captionVideo?.id === video.id && loaded.length) setCaptionSource(captionVideo);
+    }).catch(err => console.warn("[Captions] Transcript load failed:", err));
+  }
+}
+
+export function toggleTranscriptPanel() {
+  const panel = UI.$("#transcript-panel");
+  if (!panel || !captionVideo) return;
+  panel.classList.toggle("hidden");
+  if (!panel.classList.contains("hidden")) renderTranscriptList();
+}
+
+export function handleTranscriptSearch() {
+  renderTranscriptList();
+}
+
+export async function handleCaptionFile(file) {
+  if (!file || !captionVideo) return;
+
+  if (!/\.(vtt|srt)$/i.test(file.name)) {
+    UI.toast("Please choose a .vtt or .srt file.", "error");
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseCaptions(await file.text());
+  } catch (err) {
+    console.error("[Captions] Parse failed:", err);
+    UI.toast("No captions found in that file.", "error");
+    return;
+  }
+
+  if (JSON.stringify(parsed).length > MAX_TRANSCRIPT_BYTES) {
+    UI.toast("That transcript is too large to attach.", "error");
+    return;
+  }
+
+  const captions = {
+    fileName: file.name,
+    format: /\.srt$/i.test(file.name) ? "srt" : "vtt",
+    cueCount: parsed.length,
+    attachedAt: new Date().toISOString()
+  };
+
+  try {
+    await saveVideoCaptions(captionVideo.id, parsed, captions);
+  } catch (err) {
+    console.error("[Captions] Save failed:", err);
+    UI.toast("Could not save the transcript.", "error");
+    return;
+  }
+
+  captionVideo = { ...captionVideo, transcript: undefined, captions };
+  transcriptCache.set(cacheKey(captionVideo), parsed);
+  setCaptionSource(captionVideo);
+  UI.$("#transcript-panel")?.classList.remove("hidden");
+  UI.toast(`Attached ${parsed.length} captions.`, "success");
+  loadLibrary();
+}
+
+export async function removeCaptions() {
+  if (!cues.length) return;
+  if (!await UI.showConfirm("Remove the transcript from this video?", "Remove Captions", "Remove")) return;
+
+  try {
+    await saveVideoCaptions(captionVideo.id, [], null);
+  } catch (err) {
+    console.error("[Captions] Remove failed:", err);
+    UI.toast("Could not remove the transcript.", "error");
+    return;
+  }
+  transcriptCache.delete(cacheKey(captionVideo));
+  setCaptionSource({ ...captionVideo, transcript: undefined, captions: null });
+  UI.toast("Transcript removed.", "success");
+  loadLibrary();
+}
+
+/**
+ * Fetches the cues of any captioned video not cached yet. Resolves true if
+ * anything new arrived (the library re-renders its search then).
+ */
+export async function loadTranscripts(videos) {
+  const missing = videos.filter(v =>
+    v.captions?.cueCount && !cachedCues(v) && !loadingKeys.has(cacheKey(v)));
+  if (!missing.length) return false;
+
+  missing.forEach(v => loadingKeys.add(cacheKey(v)));
+  await Promise.all(missing.map(async v => {
+    try {
+      transcriptCache.set(cacheKey(v), await getVideoTranscript(v));
+    } catch (err) {
+      console.warn("[Captions] Transcript load failed:", err);
+      transcriptCache.set(cacheKey(v), []); // Don't retry on every keystroke
+    } finally {
+      loadingKeys.delete(cacheKey(v));
+    }
+  }));
+  return true;
+}
+
+/**
+ * First cue in a video's transcript containing the query (case-insensitive),
+ * or null. Used by the library search; only sees cues already loaded.
+ */
+export function findTranscriptMatch(video, query) {
+  const q = String(query || "").trim().toLowerCase();
+  const list = cachedCues(video);
+  if (!q || !list) return null;
+  return list.find(c => c.text.toLowerCase().includes(q)) || null;
+}
@@ -0,0 +1,337 @@
+/* ========================================================================== */
+/* MODULE: drive.js
+/* Google Drive as a storage provider ("gdrive").
+/* - Access token from Google Identity Services (drive.file scope only),
+/*   requested only from the Connect Google Drive click; anything else fails
+/*   fast with DRIVE_NOT_CONNECTED instead of opening a blocked popup
+/* - Playback streams through the service worker (/__drive/<fileId>), which
+/*   asks the page for the token and forwards Range requests
+/* - Resumable, chunked upload into ReelRubric/<Class title> folders
+/* - Video docs (written by storage.js) get storagePath "gdrive/<fileId>"
+/*   plus driveFileId
+/* - API base is overridable (localStorage "sc/driveApiBase") so uploads can
+/*   be exercised against a local stub of the Drive endpoints
+/*   (tools/drive-stub.mjs)
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+import { createUploadTask, canceledError } from "./uploads.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const DRIVE_SCOPE = "https://www.googleapis.com/auth/drive.file";
+const GIS_SRC = "https://accounts.google.com/gsi/client";
+const DEFAULT_API_BASE = "https://www.googleapis.com";
+const APP_FOLDER = "ReelRubric";
+const FOLDER_MIME = "application/vnd.google-apps.folder";
+const CHUNK_BYTES = 8 * 1024 * 1024;   // Must be a multiple of 256 KiB
+const MAX_CHUNK_RETRIES = 5;
+const STUB_TOKEN = "local-stub-token";
+const STREAM_ROUTE = "./__drive/";      // Handled by sca-sw.js
+
+let gisLoading = null;
+let tokenClient = null;
+let accessToken = null;
+let tokenExpiresAt = 0;
+const folderCache = new Map();          // "parentId/name" → folder id
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function getApiBase() {
+  return (localStorage.getItem(UI.LS.DRIVE_API) || DEFAULT_API_BASE).replace(/\/+$/, "");
+}
+
+function isStub() {
+  return getApiBase() !== DEFAULT_API_BASE;
+}
+
+function loadGis() {
+  if (window.google?.accounts?.oauth2) return Promise.resolve();
+  if (gisLoading) return gisLoading;
+
+  gisLoading = new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = GIS_SRC;
+    script.async = true;
+    script.onload = () => resolve();
+    script.onerror = () => {
+      gisLoading = null;
+      reject(new Error("DRIVE_GIS_LOAD_FAILED"));
+    };
+    document.head.appendChild(script);
+  });
+  return gisLoading;
+}
+
+function hasValidToken() {
+  return !!accessToken && Date.now() < tokenExpiresAt - 60_000;
+}
+
+// Never prompts: GIS popups only open from a click (see connectDrive)
+function getAccessToken() {
+  const clientId = getDriveClientId();
+
+  // Local stub: no Google sign-in needed
+  if (!clientId && isStub()) return STUB_TOKEN;
+  if (!clientId) throw new Error("DRIVE_NOT_CONFIGURED");
+  if (!hasValidToken()) throw new Error("DRIVE_NOT_CONNECTED");
+  return accessToken;
+}
+
+function forgetToken() {
+  accessToken = null;
+  tokenExpiresAt = 0;
+  renderDriveStatus();
+}
+
+// JSON/metadata calls; a 401 means the token was revoked or expired early
+async function driveFetch(path, options = {}) {
+  const token = getAccessToken();
+  const res = await fetch(`${getApiBase()}${path}`, {
+    ...options,
+    headers: { ...(options.headers || {}), Authorization: `Bearer ${token}` }
+  });
+
+  if (res.status === 401) {
+    forgetToken();
+    throw new Error("DRIVE_NOT_CONNECTED");
+  }
+  if (!res.ok && res.status !== 308) throw new Error(`DRIVE_HTTP_${res.status}`);
+  return res;
+}
+
+// The service worker asks the page for the token on each streamed request
+function answerTokenRequests() {
+  navigator.serviceWorker?.addEventListener("message", (e) => {
+    if (e.data?.type !== "DRIVE_TOKEN" || !e.ports[0]) return;
+    let token = null;
+    try { token = getAccessToken(); } catch {}
+    e.ports[0].postMessage({ token, apiBase: getApiBase() });
+  });
+}
+answerTokenRequests();
+
+async function findOrCreateFolder(name, parentId = "root") {
+  const cacheKey = `${parentId}/${name}`;
+  if (folderCache.has(cacheKey)) return folderCache.get(cacheKey);
+
+  const safeName = name.replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+  const q = `name = '${safeName}' and mimeType = '${FOLDER_MIME}' and '${parentId}' in parents and trashed = false`;
+  const found = await (await driveFetch(
+    `/drive/v3/files?q=${encodeURIComponent(q)}&fields=files(id,name)&pageSize=1`
+  )).json();
+
+  let id = found.files?.[0]?.id;
+  if (!id) {
+    const created = await (await driveFetch("/drive/v3/files?fields=id", {
+      method: "POST",
+      headers: { "Content-Type": "application/json; charset=UTF-8" },
+      body: JSON.stringify({ name, mimeType: FOLDER_MIME, parents: [parentId] })
+    })).json();
+    id = created.id;
+  }
+
+  folderCache.set(cacheKey, id);
+  return id;
+}
+
+async function getClassFolder(classTitle) {
+  const root = await findOrCreateFolder(APP_FOLDER);
+  return findOrCreateFolder((classTitle || "Unsorted").trim() || "Unsorted", root);
+}
+
+// Bytes the server already has, from a "Range: bytes=0-N" header
+function nextOffsetFrom(res) {
+  const range = res.headers.get("Range");
+  const m = range && /bytes=0-(\d+)/.exec(range);
+  return m ? Number(m[1]) + 1 : 0;
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+export function getDriveClientId() {
+  return localStorage.getItem(UI.LS.DRIVE_CLIENT) || "";
+}
+
+export function setDriveClientId(id) {
+  const clean = String(id || "").trim();
+  if (clean) localStorage.setItem(UI.LS.DRIVE_CLIENT, clean);
+  else localStorage.removeItem(UI.LS.DRIVE_CLIENT);
+  forgetToken();
+  folderCache.clear();
+  preloadDriveSignIn();
+}
+
+/** Loads the GIS script ahead of time so the Connect click can open the popup straight away. */
+export function preloadDriveSignIn() {
+  if (getDriveClientId()) loadGis().catch(err => console.warn("[Drive] Sign-in script failed to load:", err));
+}
+
+export function isDriveConnected() {
+  return (!getDriveClientId() && isStub()) || hasValidToken();
+}
+
+/**
+ * Asks Google for a Drive token. Call only from a click handler: the consent
+ * popup is blocked anywhere else. Resolves to true once connected.
+ */
+export async function connectDrive() {
+  const clientId = getDriveClientId();
+  if (!clientId && isStub()) return true;
+  if (!clientId) throw new Error("DRIVE_NOT_CONFIGURED");
+
+  await loadGis();
+
+  return new Promise((resolve, reject) => {
+    tokenClient = window.google.accounts.oauth2.initTokenClient({
+      client_id: clientId,
+      scope: DRIVE_SCOPE,
+      callback: (resp) => {
+        if (resp.error) return reject(new Error(`DRIVE_AUTH_${resp.error}`));
+        accessToken = resp.access_token;
+        tokenExpiresAt = Date.now() + (Number(resp.expires_in) || 3600) * 1000;
+        renderDriveStatus();
+        resolve(true);
+      },
+      error_callback: (err) => reject(new Error(`DRIVE_AUTH_${err?.type || "failed"}`))
+    });
+    tokenClient.requestAccessToken({ prompt: accessToken ? "" : "consent" });
+  });
+}
+
+/**
+ * Resumable upload of one file. Returns { id, folderId, name, size }.
+ * options: { onProgress(pct, { bytesTransferred, totalBytes }), onTask(task) }
+ */
+export async function uploadToDrive(blob, metadata, { onProgress, onTask } = {}) {
+  // A 0-byte session can't take a chunk ("bytes 0--1/0"), so stop before opening one
+  if (!blob.size) throw new Error("DRIVE_EMPTY_FILE");
+  const folderId = await getClassFolder(metadata.classEventTitle);
+  const format = UI.getContainerInfo(metadata.mimeType || blob.type, blob.name);
+  const who = (metadata.recordingType === "group" && metadata.groupName) ? metadata.groupName : metadata.participant;
+  const name = `${(who || "Recording").replace(/[^\w\d-]+/g, "_")}_${new Date().toISOString().replace(/[:.]/g, "-")}.${format.ext}`;
+  const total = blob.size;
+
+  const task = createUploadTask();
+  onTask?.(task);
+
+  // 1. Open the resumable session
+  const start = await driveFetch("/upload/drive/v3/files?uploadType=resumable&fields=id", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json; charset=UTF-8",
+      "X-Upload-Content-Type": format.contentType,
+      "X-Upload-Content-Length": String(total)
+    },
+    body: JSON.stringify({ name, mimeType: format.contentType, parents: [folderId] })
+  });
+  const sessionUrl = start.headers.get("Location");
+  if (!sessionUrl) throw new Error("DRIVE_NO_SESSION");
+
+  // 2. Send chunks; after a network blip ask the session how far it got
+  let offset = 0;
+  let failures = 0;
+  UI.$("#upload-progress-container")?.classList.remove("hidden");
+
+  try {
+    while (true) {
+      await task.waitIfPaused();
+      if (task.canceled) {
+        fetch(sessionUrl, { method: "DELETE" }).catch(() => {});
+        throw canceledError();
+      }
+
+      const end = Math.min(offset + CHUNK_BYTES, total);
+      let res;
+      try {
+        res = await fetch(sessionUrl, {
+          method: "PUT",
+          headers: { "Content-Range": `bytes ${offset}-${end - 1}/${total}` },
+          body: blob.slice(offset, end)
+        });
+      } catch (err) {
+        if (++failures > MAX_CHUNK_RETRIES) throw err;
+        await new Promise(r => setTimeout(r, 1000 * 2 ** failures));
+        const probe = await fetch(sessionUrl, {
+          method: "PUT",
+          headers: { "Content-Range": `bytes */${total}` }
+        }).catch(() => null);
+        if (probe?.status === 308) offset = nextOffsetFrom(probe);
+        continue;
+      }
+
+      if (res.status === 308) {
+        offset = nextOffsetFrom(res); // No Range header means nothing was kept yet
+        failures = 0;
+        const pct = (offset / total) * 100;
+        const bar = UI.$("#upload-progress");
+        if (bar) bar.style.width = `${pct}%`;
+        onProgress?.(pct, { bytesTransferred: offset, totalBytes: total });
+        continue;
+      }
+
+      if (res.ok) {
+        const file = await res.json();
+        onProgress?.(100, { bytesTransferred: total, totalBytes: total });
+        return { id: file.id, folderId, name, size: total };
+      }
+
+      if (res.status >= 500 && ++failures <= MAX_CHUNK_RETRIES) {
+        await new Promise(r => setTimeout(r, 1000 * 2 ** failures));
+        continue;
+      }
+      throw new Error(`DRIVE_HTTP_${res.status}`);
+    }
+  } finally {
+    UI.$("#upload-progress-container")?.classList.add("hidden");
+  }
+}
+
+/**
+ * Drive media needs the bearer token, which <video> can't send. With the
+ * service worker in control, returns a same-origin URL it streams (with
+ * Range) from Drive; otherwise downloads the file into an object URL,
+ * which the player revokes on close.
+ */
+export async function getDrivePlaybackUrl(fileId) {
+  getAccessToken(); // Fail fast before the player opens
+  if (navigator.serviceWorker?.controller) return `${STREAM_ROUTE}${encodeURIComponent(fileId)}`;
+
+  const res = await driveFetch(`/drive/v3/files/${encodeURIComponent(fileId)}?alt=media`);
+  return URL.createObjectURL(await res.blob());
+}
+
+export async function deleteDriveFile(fileId) {
+  try {
+    await driveFetch(`/drive/v3/files/${encodeURIComponent(fileId)}`, { method: "DELETE" });
+  } catch (err) {
+    if (err.message !== "DRIVE_HTTP_404") throw err; // Already gone is fine
+  }
+}
+
+/** Drive-wide quota (Drive doesn't report usage per folder). */
+export async function getDriveUsage() {
+  const { storageQuota = {} } = await (await driveFetch("/drive/v3/about?fields=storageQuota")).json();
+  return {
+    usedBytes: Number(storageQuota.usage) || 0,
+    limitBytes: Number(storageQuota.limit) || null // No limit on some Workspace plans
+  };
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+export function renderDriveStatus() {
+  const status = UI.$("#drive-connect-status");
+  const btn = UI.$("#drive-connect-btn");
+  const connected = isDriveConnected();
+  if (status) status.textContent = connected ? "Connected" : "Not connected";
+  if (btn) btn.textContent = connected ? "Reconnect" : "Connect Google Drive";
+}
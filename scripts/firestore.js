@@ -1,25 +1,34 @@
 /* ==========================================================================
  * MODULE: firestore.js (FINAL GOLD: Polished & Verified)
  * Handles all Firestore interactions (read/write/upload), Library rendering,
- * Offline Queue, Smart Delete, and Class Management.
+ * Offline Queue, Storage Usage, Smart Delete, and Class Management.
  * ========================================================================== */
 
 import * as UI from "./ui.js"; 
+import { captureThumbnails, bindScrubPreview, SCRUB_FRAMES } from "./thumbnails.js";
+import { findTranscriptMatch, loadTranscripts } from "./captions.js";
+import { buildChaptersVtt, buildMarkerCsv, markerFileBase } from "./tags.js";
+import { enqueueUpload, isRetryableError } from "./queue.js";
+import { providerForVideo, relinkLocalFile } from "./storage.js";
+import { uploadResumable } from "./resumable.js";
+import { moveVideoToTrash, getTrashKeepDays, getTrashedVideos } from "./trash.js";
 
 import { initializeApp } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-app.js";
 import { getAuth, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js";
 import { 
   getFirestore, collection, doc, addDoc, setDoc, getDoc, getDocs, 
-  updateDoc, deleteDoc, query, orderBy, serverTimestamp, enableIndexedDbPersistence, arrayUnion 
+  updateDoc, deleteDoc, query, orderBy, serverTimestamp, enableIndexedDbPersistence, arrayUnion,
+  runTransaction, writeBatch, deleteField
 } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 import { 
-  getStorage, ref, uploadBytesResumable, getDownloadURL, deleteObject 
+  getStorage, ref, uploadBytesResumable, getDownloadURL, deleteObject, getMetadata
 } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-storage.js";
 
 /* -------------------------------------------------------------------------- */
 /* STATE MANAGEMENT */
 /* -------------------------------------------------------------------------- */
 let LIBRARY_CACHE = []; // Stores videos
+let LIBRARY_VISIBLE = []; // Videos passing the current library filters
 let RUBRIC_CACHE = {};  // Stores rubric titles
 
 /* -------------------------------------------------------------------------- */
@@ -59,6 +68,7 @@ export async function initFirebase() {
     // EXPOSE HELPERS GLOBALLY FOR HTML ONCHANGE EVENTS
     window.renderLibraryFiltered = renderLibraryFiltered;
     window.resetLibraryFilters = resetLibraryFilters;
+    window.exportLibraryMarkers = exportLibraryMarkers;
     window.duplicateVideo = duplicateVideo;
     window.openEditVideo = openEditVideo;
     window.deleteVideo = deleteVideo;
@@ -148,6 +158,12 @@ export async function handleSaveClass() {
     // 📅 NEW: Grab Year and Term
     const academicYear = UI.$("#class-year").value;
     const term = UI.$("#class-term").value;
+    // ⏱️ Optional presentation timer (stored in seconds)
+    const targetMinutes = parseFloat(UI.$("#class-target-minutes").value);
+    const targetDuration = targetMinutes > 0 ? Math.round(targetMinutes * 60) : null;
+    const durationTolerance = targetDuration ? (parseInt(UI.$("#class-target-tolerance").value, 10) || 0) : null;
+    const warningRaw = parseInt(UI.$("#class-target-warning").value, 10);
+    const durationWarning = targetDuration ? (Number.isFinite(warningRaw) ? warningRaw : 60) : null;
 
  
   if (!title) {
@@ -166,26 +182,34 @@ export async function handleSaveClass() {
         deleteDate,
         academicYear, // 📅 NEW: Add to database
         term,         // 📅 NEW: Add to database
+        targetDuration,
+        durationTolerance,
+        durationWarning,
         updatedAt: serverTimestamp()
     };
 
   try {
     const colRef = collection(UI.db, `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/classes`);
     
+    const { updatedAt, ...cached } = classData;
     if (id) {
       await updateDoc(doc(colRef, id), classData);
+      // ✅ Keep the cache in step so the timer picker sees new targets
+      if (UI.classData) UI.classData[id] = { ...UI.classData[id], ...cached };
       UI.toast("Class updated!", "success");
     } else {
-      await addDoc(colRef, {
+      const docRef = await addDoc(colRef, {
         ...classData,
         archived: false,
         createdAt: serverTimestamp()
       });
+      if (UI.classData) UI.classData[docRef.id] = { id: docRef.id, ...cached, archived: false };
       UI.toast("Class created!", "success");
     }
     
     UI.clearClassEditor();
     refreshClassesList();
+    UI.refreshTimerClassList();
     
   } catch (e) {
     console.error("Save class failed:", e);
@@ -227,10 +251,111 @@ export async function archiveClass({ db, appId, uid, id }) {
   );
 }
 
+// 🗓️ Retention dates only (postponing a purge shouldn't touch the roster)
+export async function updateClassRetention(classId, { archiveDate, deleteDate }) {
+  const updates = { updatedAt: serverTimestamp() };
+  if (archiveDate !== undefined) updates.archiveDate = archiveDate;
+  if (deleteDate !== undefined) updates.deleteDate = deleteDate;
+  await updateDoc(doc(UI.db, `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/classes`, classId), updates);
+}
+
+// 🗓️ Only the class id counts: titles get reused from term to term
+function isClassVideo(video, cls) {
+  return !!video.classEventId && video.classEventId === cls.id;
+}
+
+// Older docs only carry the title; listed for review, never purged
+function isTitleOnlyMatch(video, cls) {
+  return !video.classEventId && !!cls.title && video.classEventTitle === cls.title;
+}
+
+/**
+ * Videos recorded in each class (trashed ones too), keyed by class id:
+ * { videos, titleOnly }. titleOnly are older docs without a class id whose
+ * title matches; purgeClass leaves them alone.
+ */
+export async function getVideosForClasses(classes) {
+  const [snap, trashed] = await Promise.all([
+    getDocs(collection(UI.db, `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/videos`)),
+    getTrashedVideos()
+  ]);
+  const videos = [...snap.docs.map(d => ({ id: d.id, ...d.data() })), ...trashed];
+
+  const byClass = {};
+  classes.forEach(cls => {
+    byClass[cls.id] = {
+      videos: videos.filter(v => isClassVideo(v, cls)),
+      titleOnly: videos.filter(v => isTitleOnlyMatch(v, cls))
+    };
+  });
+  return byClass;
+}
+
+/**
+ * Retention purge: deletes the class, its video docs (live and trashed) and
+ * any stored file no other scorecard still uses. Videos whose file delete
+ * failed keep their docs (and the class doc stays) so a later purge retries.
+ * Returns { videos, files, failedFiles, kept }.
+ */
+export async function purgeClass(cls) {
+  if (!UI.db || !UI.currentUser) throw new Error("Not signed in.");
+  const base = `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}`;
+
+  // Trashed videos count too: they belong to the class and may share files
+  const [snap, trashed] = await Promise.all([getDocs(collection(UI.db, `${base}/videos`)), getTrashedVideos()]);
+  const all = [...snap.docs.map(d => ({ id: d.id, ...d.data() })), ...trashed];
+  const doomed = all.filter(v => isClassVideo(v, cls));
+  const isDoomed = (v) => doomed.includes(v);
+
+  // One delete per physical file, and only if nothing outside the class shares it
+  const files = new Map();
+  doomed.forEach(v => {
+    if (!v.storagePath || files.has(v.storagePath) || providerForVideo(v).id === "local") return;
+    const shared = all.some(o => !isDoomed(o) && o.storagePath === v.storagePath);
+    if (!shared) files.set(v.storagePath, v);
+  });
+
+  const failedPaths = new Set();
+  for (const [path, video] of files) {
+    const provider = providerForVideo(video);
+    try {
+      await provider.delete(video);
+    } catch (err) {
+      failedPaths.add(path);
+      console.warn(`[Retention] ${provider.label} delete error:`, err);
+    }
+  }
+
+  // Same rule as the trash: no doc goes while its file is still out there
+  const kept = doomed.filter(v => failedPaths.has(v.storagePath));
+  for (const v of doomed) {
+    if (kept.includes(v)) continue;
+    await deleteDoc(v.trashId ? doc(UI.db, `${base}/trash`, v.trashId) : doc(UI.db, `${base}/videos`, v.id));
+    if (v.captions?.cueCount) await deleteVideoTranscript(v.id);
+  }
+
+  if (!kept.length) {
+    await deleteDoc(doc(UI.db, `${base}/classes`, cls.id));
+    if (UI.classData) delete UI.classData[cls.id];
+  }
+  return {
+    videos: doomed.length - kept.length,
+    files: files.size - failedPaths.size,
+    failedFiles: failedPaths.size,
+    kept: kept.length
+  };
+}
+
 /* -------------------------------------------------------------------------- */
-/* File Upload & Metadata (Fixed: Header Safe Content-Type + Offline Queue) */
+/* File Upload & Metadata (Fixed: Header Safe Content-Type)                  */
 /* -------------------------------------------------------------------------- */
-export async function uploadFile(blob, metadata) {
+/**
+ * Uploads the recording and writes its video doc. Returns
+ * { id, storagePath, downloadURL, ...thumbnails }.
+ * session / onSession: resumable session info ({ url, offset, videoId,
+ * storagePath }) so a queued retry continues the same upload.
+ */
+export async function uploadFile(blob, metadata, { onProgress, onTask, session, onSession } = {}) {
   if (!UI.db || !UI.currentUser) throw new Error("Not signed in.");
   if (!blob) throw new Error("NO_BLOB");
 
@@ -242,26 +367,29 @@ export async function uploadFile(blob, metadata) {
   // 🔑 THIS is mandatory
   await user.getIdToken(true);
 
-  // ---- STORAGE LIMIT CHECK ----
+  // ---- STORAGE LIMIT CHECK (fresh from the profile doc, not the cached copy) ----
   const limit = UI.userDoc?.planStorageLimit ?? 1_000_000_000;
-  const used  = UI.userDoc?.storageUsedBytes ?? 0;
+  const used  = await getStorageUsedBytes();
   if (used + blob.size > limit) {
     throw new Error("STORAGE_LIMIT_EXCEEDED");
   }
 
   const appId = UI.getAppId();
-  const videoRef = doc(
-    collection(UI.db, `artifacts/${appId}/users/${user.uid}/videos`)
-  );
+  const videosCol = collection(UI.db, `artifacts/${appId}/users/${user.uid}/videos`);
+  // A resumed upload keeps its doc id and path, so the file lands where it started
+  const videoRef = session?.videoId ? doc(videosCol, session.videoId) : doc(videosCol);
 
   const videoId = videoRef.id;
-  const storagePath =
-    `artifacts/${appId}/users/${user.uid}/videos/${videoId}.webm`;
+
+  // 🎞️ Container decides the extension + content type (WebM, MP4, MOV...)
+  const format = UI.getContainerInfo(metadata.mimeType || blob.type, blob.name);
+  const storagePath = session?.storagePath ||
+    `artifacts/${appId}/users/${user.uid}/videos/${videoId}.${format.ext}`;
 
   const storageRef = ref(UI.storage, storagePath);
 
   const metadataSafe = {
-    contentType: "video/webm",
+    contentType: format.contentType,
     customMetadata: {
       participant: String(metadata.participant ?? "Unknown"),
       class_title: String(metadata.classEventTitle ?? "Unknown"),
@@ -272,49 +400,49 @@ export async function uploadFile(blob, metadata) {
 
   try {
     // 🚫 DO NOT touch blob
-    const uploadTask = uploadBytesResumable(
-      storageRef,
-      blob,
-      metadataSafe
-    );
-
-    await new Promise((resolve, reject) => {
-      uploadTask.on(
-        "state_changed",
-        snap => {
-          const pct = (snap.bytesTransferred / snap.totalBytes) * 100;
-          const bar = UI.$("#upload-progress");
-          if (bar) bar.style.width = `${pct}%`;
-        },
-        reject,
-        resolve
-      );
+    // ⏯️ Own resumable session, so a reload continues from the last chunk
+    await uploadResumable(storageRef, blob, metadataSafe, {
+      session: session?.url ? session : null,
+      onSession: (s) => onSession?.({ ...s, videoId, storagePath }),
+      onTask, // Pause / resume / cancel (uploads.js)
+      onProgress: (pct, snap) => {
+        const bar = UI.$("#upload-progress");
+        if (bar) bar.style.width = `${pct}%`;
+        onProgress?.(pct, snap);
+      }
     });
 
-    const downloadURL = await getDownloadURL(uploadTask.snapshot.ref);
+    const downloadURL = await getDownloadURL(storageRef);
+    const thumbs = await uploadThumbnails(
+      blob, metadata, `artifacts/${appId}/users/${user.uid}/videos/${videoId}`
+    );
 
     await setDoc(videoRef, {
       ...metadata,
+      ...thumbs,
       id: videoId,
       storagePath,
       downloadURL,
       fileSize: blob.size,
+      mimeType: format.mimeType,
+      container: format.ext,
       createdAt: serverTimestamp(),
       status: "ready"
     });
 
-    UI.mockUpdateStorageUsage?.(used + blob.size);
+    // 💾 Counted once per file (video + thumbnails); the profile snapshot refreshes the storage bar
+    try {
+      await recordStorageUsage(storagePath, blob.size);
+      if (thumbs.posterPath) await recordStorageUsage(thumbs.posterPath, thumbs.posterSize);
+      if (thumbs.scrubPath) await recordStorageUsage(thumbs.scrubPath, thumbs.scrubSize);
+    } catch (err) {
+      await repairStorageUsage(err);
+    }
 
-    return { id: videoId, storagePath, downloadURL };
+    return { id: videoId, storagePath, downloadURL, ...thumbs };
 
   } catch (err) {
     console.error("UPLOAD FAILED:", err);
-
-    if (!navigator.onLine) {
-      await saveToOfflineQueue(blob, metadata);
-      return { queued: true };
-    }
-
     throw err;
 
   } finally {
@@ -322,12 +450,218 @@ export async function uploadFile(blob, metadata) {
   }
 }
 
+/* -------------------------------------------------------------------------- */
+/* 🖼️ Thumbnails: stored next to the video as {videoId}_poster.jpg / _scrub.jpg */
+/* Never fails the save — a missing thumbnail just shows the letter avatar.   */
+/* -------------------------------------------------------------------------- */
+async function uploadThumbnails(blob, metadata, basePath) {
+  const { poster, scrub } = await captureThumbnails(blob, {
+    duration: metadata.mediaDuration || metadata.duration,
+    trimStart: metadata.trimStart,
+    trimEnd: metadata.trimEnd,
+    offset: UI.getPosterOffset()
+  });
+
+  const result = {};
+  const put = async (image, suffix) => {
+    const path = `${basePath}_${suffix}.jpg`;
+    const task = uploadBytesResumable(ref(UI.storage, path), image, { contentType: "image/jpeg" });
+    await new Promise((resolve, reject) => task.on("state_changed", null, reject, resolve));
+    return { path, url: await getDownloadURL(task.snapshot.ref), size: image.size };
+  };
+
+  try {
+    if (poster) {
+      const p = await put(poster, "poster");
+      result.posterPath = p.path;
+      result.posterURL = p.url;
+      result.posterSize = p.size;
+    }
+    if (scrub) {
+      const s = await put(scrub, "scrub");
+      result.scrubPath = s.path;
+      result.scrubURL = s.url;
+      result.scrubSize = s.size;
+      result.scrubFrames = SCRUB_FRAMES;
+    }
+  } catch (err) {
+    console.warn("[Thumbnails] Upload failed:", err);
+  }
+
+  return result;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 💾 Storage Usage: one ledger doc per unique storagePath                     */
+/* artifacts/{appId}/users/{uid}/storageFiles/{encoded path} → { bytes }       */
+/* users/{uid}.storageUsedBytes is only ever changed in a transaction with it, */
+/* so group copies, duplicates and split clips never count the file twice.     */
+/* -------------------------------------------------------------------------- */
+// Only files in Firebase Storage count against the plan (not local or Drive)
+function isFirebasePath(storagePath) {
+  return !!storagePath && providerForVideo({ storagePath }).id === "firebase";
+}
+
+function storageLedgerRef(storagePath) {
+  return doc(
+    UI.db,
+    `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/storageFiles`,
+    encodeURIComponent(storagePath)
+  );
+}
+
+async function getStorageUsedBytes() {
+  try {
+    const snap = await getDoc(doc(UI.db, "users", UI.currentUser.uid));
+    return snap.exists() ? (snap.data().storageUsedBytes || 0) : 0;
+  } catch (err) {
+    console.warn("[Storage] Falling back to cached usage:", err);
+    return UI.userDoc?.storageUsedBytes ?? 0;
+  }
+}
+
+async function recordStorageUsage(storagePath, bytes) {
+  if (!isFirebasePath(storagePath) || !bytes) return;
+  const userRef = doc(UI.db, "users", UI.currentUser.uid);
+  const ledgerRef = storageLedgerRef(storagePath);
+
+  await runTransaction(UI.db, async (tx) => {
+    const [ledger, user] = await Promise.all([tx.get(ledgerRef), tx.get(userRef)]);
+    if (ledger.exists()) return; // Already counted
+    tx.set(ledgerRef, { storagePath, bytes, createdAt: serverTimestamp() });
+    tx.set(userRef, { storageUsedBytes: (user.data()?.storageUsedBytes || 0) + bytes }, { merge: true });
+  });
+}
+
+async function releaseStorageUsage(storagePath) {
+  if (!isFirebasePath(storagePath)) return;
+  const userRef = doc(UI.db, "users", UI.currentUser.uid);
+  const ledgerRef = storageLedgerRef(storagePath);
+
+  await runTransaction(UI.db, async (tx) => {
+    const [ledger, user] = await Promise.all([tx.get(ledgerRef), tx.get(userRef)]);
+    if (!ledger.exists()) return;
+    tx.delete(ledgerRef);
+    tx.set(userRef, {
+      storageUsedBytes: Math.max(0, (user.data()?.storageUsedBytes || 0) - (ledger.data().bytes || 0))
+    }, { merge: true });
+  });
+}
+
+// A missed ledger write leaves the plan total wrong. The video doc isn't
+// written yet (upload) or still exists (delete), so a rebuild now would be
+// off too; flag the profile so the next login rebuilds it, and say so
+async function repairStorageUsage(err) {
+  console.warn("[Storage] Could not update usage:", err);
+  await setDoc(doc(UI.db, "users", UI.currentUser.uid), { storageReconciledAt: null }, { merge: true })
+    .catch(e => console.warn("[Storage] Could not flag usage for recalculation:", e));
+  UI.toast("Storage usage may be out of date. Use Recalculate under Profile & Storage.", "error");
+}
+
+/**
+ * Rebuilds the ledger and storageUsedBytes from the video docs themselves
+ * (unique storagePath → fileSize, plus poster and scrub thumbnails).
+ * Returns { bytes, files }.
+ */
+export async function recalculateStorageUsage({ silent = false } = {}) {
+  if (!UI.db || !UI.currentUser) return null;
+  const base = `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}`;
+
+  try {
+    const [videoSnap, ledgerSnap, trashed] = await Promise.all([
+      getDocs(collection(UI.db, `${base}/videos`)),
+      getDocs(collection(UI.db, `${base}/storageFiles`)),
+      getTrashedVideos()
+    ]);
+
+    // Trashed videos keep their file until the trash is purged
+    const files = new Map();
+    const count = (path, bytes) => {
+      if (!isFirebasePath(path)) return;
+      files.set(path, Math.max(files.get(path) || 0, Number(bytes) || 0));
+    };
+    [...videoSnap.docs.map(d => d.data()), ...trashed].forEach(v => {
+      if (!isFirebasePath(v.storagePath)) return;
+      count(v.storagePath, v.fileSize);
+      if (v.posterPath) count(v.posterPath, v.posterSize);
+      if (v.scrubPath) count(v.scrubPath, v.scrubSize);
+    });
+
+    // Older docs didn't store sizes (thumbnails especially); ask Storage
+    for (const [path, bytes] of files) {
+      if (bytes) continue;
+      const meta = await getMetadata(ref(UI.storage, path)).catch(() => null);
+      if (meta) files.set(path, meta.size || 0);
+    }
+
+    // Batches cap at 500 writes
+    let batch = writeBatch(UI.db);
+    let ops = 0;
+    const queueWrite = async (fn) => {
+      fn(batch);
+      if (++ops >= 450) {
+        await batch.commit();
+        batch = writeBatch(UI.db);
+        ops = 0;
+      }
+    };
+
+    for (const d of ledgerSnap.docs) {
+      const path = d.data().storagePath;
+      if (!files.has(path)) await queueWrite(b => b.delete(d.ref));
+    }
+    for (const [storagePath, bytes] of files) {
+      await queueWrite(b => b.set(storageLedgerRef(storagePath), { storagePath, bytes, createdAt: serverTimestamp() }));
+    }
+
+    const total = [...files.values()].reduce((a, b) => a + b, 0);
+    batch.set(doc(UI.db, "users", UI.currentUser.uid), {
+      storageUsedBytes: total,
+      storageReconciledAt: serverTimestamp()
+    }, { merge: true });
+    await batch.commit();
+
+    if (!silent) UI.toast(`Storage recalculated: ${(total / 1e9).toFixed(2)} GB in ${files.size} file(s).`, "success");
+    return { bytes: total, files: files.size };
+  } catch (err) {
+    console.error("[Storage] Recalculate failed:", err);
+    if (!silent) UI.toast("Could not recalculate storage usage.", "error");
+    return null;
+  }
+}
+
 /* -------------------------------------------------------------------------- */
 /* Smart Save (Routes Single vs. Group Logic) — FINAL FIXED                   */
 /* -------------------------------------------------------------------------- */
-export async function saveRecording(meta, blob) {
+export async function saveRecording(meta, blob, options = {}) {
     if (!blob) throw new Error("NO_BLOB");
 
+    // Once the primary doc exists a retry must not upload again, so it rides
+    // along with the queued item and only the missing copies get written
+    let primary = options.primary || null;
+    const onPrimarySaved = async (result) => {
+        primary = result;
+        await options.onPrimarySaved?.(result);
+    };
+    // Likewise the upload session, so the retry resumes instead of restarting
+    let session = options.session || null;
+    const onSession = async (s) => {
+        session = s;
+        await options.onSession?.(s);
+    };
+
+    try {
+        return await saveRecordingNow(meta, blob, { ...options, primary, onPrimarySaved, session, onSession });
+    } catch (err) {
+        // 📥 Offline / flaky Wi-Fi: keep it on this device and let queue.js retry
+        if (options.fromQueue || !isRetryableError(err)) throw err;
+        await enqueueUpload(blob, meta, err, { primary, session });
+        return { queued: true };
+    }
+}
+
+async function saveRecordingNow(meta, blob, options) {
+
     // ✅ SINGLE / NON-GROUP CHECK
     // If it's not a group, or has 0-1 participants, just do the standard upload.
     if (
@@ -335,7 +669,7 @@ export async function saveRecording(meta, blob) {
         !Array.isArray(meta.participants) ||
         meta.participants.length <= 1
     ) {
-        return await uploadFile(blob, meta);
+        return options.primary || await uploadFile(blob, meta, options);
     }
 
     // --- GROUP LOGIC (Only runs if 2+ people) ---
@@ -355,10 +689,14 @@ export async function saveRecording(meta, blob) {
     // We remove the raw 'participants' array so we don't duplicate that huge list into every doc.
     const { participants: _, ...safeMeta } = meta;
 
-    // 4. Upload ONCE for the primary student
+    // 4. Upload ONCE for the primary student (a retry already past this skips it)
     // NOTE: uploadFile() creates the Primary Document in Firestore.
     const baseMeta = { ...safeMeta, participant: primaryStudent, isGroup: true };
-    const uploadResult = await uploadFile(blob, baseMeta);
+    let uploadResult = options.primary;
+    if (!uploadResult) {
+        uploadResult = await uploadFile(blob, baseMeta, options);
+        await options.onPrimarySaved?.(uploadResult);
+    }
 
     // 5. Create "Reference Copies" for everyone else
     const colRef = collection(
@@ -366,19 +704,28 @@ export async function saveRecording(meta, blob) {
         `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/videos`
     );
 
-    const writes = remaining.map(student => {
+    // One batch: the copies land all together or not at all, so a retry never doubles them
+    const batch = writeBatch(UI.db);
+    remaining.forEach(student => {
         // 🛑 THE FIX: Destructure 'id' out. 
         // This creates 'cleanMeta' which has NO id field at all.
         // Attempting to send { id: undefined } is what crashed Firestore.
         const { id, ...cleanMeta } = baseMeta;
 
-        return addDoc(colRef, {
+        batch.set(doc(colRef), {
             ...cleanMeta, 
             participant: student, 
             
-            // Link to the same physical file
+            // Link to the same physical file (and its thumbnails)
             storagePath: uploadResult.storagePath,
             downloadURL: uploadResult.downloadURL, 
+            posterPath: uploadResult.posterPath || null,
+            posterURL: uploadResult.posterURL || null,
+            posterSize: uploadResult.posterSize || null,
+            scrubPath: uploadResult.scrubPath || null,
+            scrubURL: uploadResult.scrubURL || null,
+            scrubSize: uploadResult.scrubSize || null,
+            scrubFrames: uploadResult.scrubFrames || null,
             
             // Mark as sibling/duplicate so analytics handles it correctly
             isDuplicate: true,        // keeps backend logic intact
@@ -391,65 +738,77 @@ export async function saveRecording(meta, blob) {
         });
     });
 
-    await Promise.all(writes);
+    await batch.commit();
     
-    console.log(`✅ Group Save Complete: 1 Primary + ${writes.length} Copies.`);
+    console.log(`✅ Group Save Complete: 1 Primary + ${remaining.length} Copies.`);
     return uploadResult;
 }
 
 /* -------------------------------------------------------------------------- */
-/* Offline Handling */
+/* ✂️ Split Clips: one doc per student, same storagePath (like group copies)   */
 /* -------------------------------------------------------------------------- */
-async function saveToOfflineQueue(blob, metadata) {
-  if (!window.indexedDB) return;
-  const request = indexedDB.open(UI.IDB_NAME, 1);
-  
-  request.onupgradeneeded = (e) => {
-    const db = e.target.result;
-    if (!db.objectStoreNames.contains(UI.IDB_STORE)) {
-      db.createObjectStore(UI.IDB_STORE, { autoIncrement: true });
-    }
-  };
+export async function createSegmentClips(source, clips) {
+    if (!UI.db || !UI.currentUser) throw new Error("Not signed in.");
+    if (!source?.storagePath || providerForVideo(source).id === "local") throw new Error("NO_CLOUD_FILE");
 
-  request.onsuccess = (e) => {
-    const db = e.target.result;
-    const tx = db.transaction(UI.IDB_STORE, "readwrite");
-    tx.objectStore(UI.IDB_STORE).add({ blob, metadata, timestamp: Date.now() });
-    UI.toast("Saved to device queue.", "info");
-  };
-}
+    const colRef = collection(
+        UI.db,
+        `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/videos`
+    );
+    const cls = UI.classData?.[source.classEventId];
+
+    // Strip per-doc identity, scores and group links; everything else carries over
+    const {
+        id, createdAt, finalScores, rowNotes, totalScore, hasScore, lastScore, lastScoredAt,
+        scoreHistory, groupName, group, isGroup, isGroupDuplicate, isDuplicate, originalVideoId,
+        participants, tags, transcript, captions, ...shared
+    } = source;
+    const cues = await getVideoTranscript(source);
+
+    const writes = clips.map(async clip => {
+        const duration = Math.round(clip.end - clip.start);
+        const timing = UI.getTimingState(duration, cls);
+        // Cue times stay on the shared file's timeline
+        const clipCues = cues.filter(c => c.end > clip.start && c.start < clip.end);
+
+        const docRef = await addDoc(colRef, {
+            ...shared,
+            participant: clip.participant,
+            participants: [clip.participant],
+            recordingType: "individual",
+            isGroup: false,
+            groupName: null,
 
-export async function flushOfflineQueue() {
-  if (!window.indexedDB) return;
-  const request = indexedDB.open(UI.IDB_NAME, 1);
-  
-  request.onsuccess = (e) => {
-    const db = e.target.result;
-    if (!db.objectStoreNames.contains(UI.IDB_STORE)) return;
+            // Same physical file, played between these bounds
+            isSegment: true,
+            sourceVideoId: source.sourceVideoId || id,
+            segmentStart: clip.start,
+            segmentEnd: clip.end,
 
-    const tx = db.transaction(UI.IDB_STORE, "readwrite");
-    const store = tx.objectStore(UI.IDB_STORE);
-    const getAll = store.getAll();
+            duration,
+            actualDuration: duration,
+            targetDuration: timing?.target ?? null,
+            durationTolerance: timing ? timing.tolerance : null,
+            overtime: timing?.overtime ?? false,
 
-    getAll.onsuccess = async () => {
-      const items = getAll.result;
-      if (items.length === 0) return;
+            // Markers that fall inside this clip only
+            tags: (Array.isArray(tags) ? tags : []).filter(t => t.time >= clip.start && t.time <= clip.end),
+            captions: clipCues.length ? { ...captions, cueCount: clipCues.length } : null,
 
-      UI.toast(`Uploading ${items.length} offline items...`, "info");
-      
-      const clearTx = db.transaction(UI.IDB_STORE, "readwrite");
-      clearTx.objectStore(UI.IDB_STORE).clear();
+            hasScore: false,
+            finalScores: {},
+            rowNotes: {},
+            totalScore: 0,
+            scoreHistory: [],
 
-      for (const item of items) {
-        try {
-            if (item.metadata?.storagePath === "local") continue;
-            await uploadFile(item.blob, item.metadata);
-        } catch (err) {
-            console.error("Offline item upload failed:", err);
-        }
-      }
-    };
-  };
+            createdAt: serverTimestamp(),
+            status: "ready"
+        });
+        if (clipCues.length) await setDoc(captionsRef(docRef.id), { cues: clipCues });
+    });
+
+    await Promise.all(writes);
+    await loadLibrary();
 }
 
 export async function saveLocalData(meta) {
@@ -479,6 +838,37 @@ export async function saveLocalData(meta) {
     }
 }
 
+// ☁ Other providers (Drive, S3): same doc shape as local saves, pointing at the
+// provider's file. fields carries storageProvider, a unique storagePath (keeps
+// the shared-file delete protection working), fileSize and fileName.
+export async function saveProviderData(meta, fields) {
+    if (!UI.db || !UI.currentUser) throw new Error("Not signed in.");
+    const colRef = collection(UI.db, `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/videos`);
+    const { fileName, ...file } = fields;
+    const format = UI.getContainerInfo(meta.mimeType, fileName);
+
+    const createDoc = async (participantName) => {
+        const newDocRef = doc(colRef);
+        await setDoc(newDocRef, {
+            ...meta,
+            participant: participantName,
+            id: newDocRef.id,
+            downloadURL: null,
+            ...file,
+            mimeType: format.mimeType,
+            container: format.ext,
+            createdAt: serverTimestamp(),
+            status: "ready"
+        });
+    };
+
+    if (meta.participants && meta.participants.length > 0) {
+        await Promise.all(meta.participants.map(student => createDoc(student)));
+    } else {
+        await createDoc(meta.participant);
+    }
+}
+
 /* -------------------------------------------------------------------------- */
 /* Library Management (Fetch -> Cache -> Render) */
 /* -------------------------------------------------------------------------- */
@@ -562,10 +952,15 @@ export function renderLibraryFiltered() {
     // 📅 NEW: Grab Year and Term filters
     const yearFilter = document.getElementById("lib-filter-year")?.value || "all";
     const termFilter = document.getElementById("lib-filter-term")?.value || "all";
+    const timingFilter = document.getElementById("lib-filter-timing")?.value || "all";
+    const searchText = (document.getElementById("lib-search")?.value || "").trim().toLowerCase();
 
     // 2. Filter Data
     if (!Array.isArray(LIBRARY_CACHE)) return;
 
+    // 💬 Search hits inside transcripts, keyed by video id (shown under the card)
+    const transcriptHits = {};
+
     const filtered = LIBRARY_CACHE.filter(v => {
         // 🕵️ NEW: Look up the video's parent class to check its year and term
         const parentClass = Object.values(UI.classData || {}).find(c => c.title === v.classEventTitle);
@@ -577,10 +972,36 @@ export function renderLibraryFiltered() {
         // 📅 NEW: Check if the video's year and term match the dropdowns
         const matchYear = (yearFilter === "all") || (vidYear === yearFilter);
         const matchTerm = (termFilter === "all") || (vidTerm === termFilter);
+        // ⏱️ Timing: only videos recorded against a target count as on time
+        const matchTiming = (timingFilter === "all") ||
+            (timingFilter === "overtime" && v.overtime === true) ||
+            (timingFilter === "ontime" && v.targetDuration > 0 && !v.overtime);
+
+        // 🔎 Search: names/class first, then the words in the transcript
+        let matchSearch = !searchText;
+        if (searchText) {
+            const haystack = [v.participant, v.groupName || v.group, v.classEventTitle, v.notes]
+                .filter(Boolean).join(" ").toLowerCase();
+            matchSearch = haystack.includes(searchText);
+            if (!matchSearch) {
+                const cue = findTranscriptMatch(v, searchText);
+                if (cue) {
+                    transcriptHits[v.id] = cue;
+                    matchSearch = true;
+                }
+            }
+        }
 
-        // 🛑 NEW: Require all 4 filters to match before showing the video
-        return matchClass && matchRubric && matchYear && matchTerm;
+        // 🛑 NEW: Require all filters to match before showing the video
+        return matchClass && matchRubric && matchYear && matchTerm && matchTiming && matchSearch;
     });
+    LIBRARY_VISIBLE = filtered;
+
+    // Transcripts load on the first search; re-run once they're in
+    if (searchText) {
+        loadTranscripts(LIBRARY_CACHE).then(loaded => { if (loaded) renderLibraryFiltered(); })
+            .catch(err => console.warn("[Library] Transcript search load failed:", err));
+    }
 
     if (filtered.length === 0) {
         listEl.innerHTML = '<p class="text-center text-gray-500 py-8">No recordings match your filters.</p>';
@@ -612,11 +1033,19 @@ export function renderLibraryFiltered() {
          : "";
       
       // 🎨 NEW AVATAR LAYOUT 
+ // 🖼️ Poster thumbnail (hover to scrub) or the letter avatar for older videos
+ const avatar = v.posterURL
+   ? `<div class="library-thumb w-28 h-16 rounded-md bg-black bg-cover bg-center border border-white/10 flex-shrink-0 cursor-pointer"
+          style="background-image: url('${v.posterURL}')"
+          data-poster-url="${v.posterURL}" data-scrub-url="${v.scrubURL || ""}" data-scrub-frames="${v.scrubFrames || ""}"
+          title="Hover to preview, click to play"></div>`
+   : `<div class="w-10 h-10 rounded-full bg-purple-600/30 flex items-center justify-center text-purple-300 font-extrabold text-lg shadow-sm flex-shrink-0">
+         ${(primaryName || "S").charAt(0).toUpperCase()}
+     </div>`;
+
  title.innerHTML = `
  <div class="flex items-center gap-3 mb-2">
-     <div class="w-10 h-10 rounded-full bg-purple-600/30 flex items-center justify-center text-purple-300 font-extrabold text-lg shadow-sm flex-shrink-0">
-         ${(primaryName || "S").charAt(0).toUpperCase()}
-     </div>
+     ${avatar}
      
      <div class="flex flex-col min-w-0">
          <div class="flex items-center gap-2 text-white font-bold text-base leading-tight truncate">
@@ -647,8 +1076,20 @@ export function renderLibraryFiltered() {
 
       const markerCount = Array.isArray(v.tags) ? v.tags.length : 0;
 
+      // 🔇 Suspect audio: long silence or mostly silent
+      const silent = Number(v.silentSeconds) || 0;
+      const mediaDuration = v.mediaDuration || v.duration;
+      const suspectAudio = silent >= 30 || (mediaDuration > 0 && silent / mediaDuration > 0.5);
+      const silenceBadge = suspectAudio
+        ? `<span class="text-amber-300 bg-amber-500/10 border border-amber-500/20 px-1.5 py-0.5 rounded font-medium" title="${silent}s without audio while recording">🔇 ${silent}s silent</span>`
+        : "";
+
       // ✅ NEW: Format Duration
 const timeStr = UI.formatDuration(v.duration);
+const isTrimmed = v.trimStart > 0 || v.trimEnd != null;
+const clipBadge = v.isSegment
+  ? `<span class="text-cyan-300 bg-cyan-500/10 border border-cyan-500/20 px-1.5 py-0.5 rounded font-medium" title="Clip of a longer recording">✂ ${UI.formatDuration(v.segmentStart)}–${UI.formatDuration(v.segmentEnd)}</span>`
+  : "";
 
 
 // Update the innerHTML to include timeStr
@@ -659,7 +1100,11 @@ meta.innerHTML = `
     <span>•</span> 
     <span>${sizeMB} MB</span>
     <span>•</span> 
-    <span class="text-white font-mono text-sm font-bold bg-white/10 px-1 rounded border border-white/20">${timeStr}</span> ${markerCount > 0 ? `<span class="ml-1 text-indigo-300 bg-indigo-500/10 border border-indigo-500/20 px-1.5 py-0.5 rounded font-medium flex items-center gap-1">🎯 ${markerCount}</span>` : ""}
+    <span class="text-white font-mono text-sm font-bold bg-white/10 px-1 rounded border border-white/20"${isTrimmed ? ` title="Trimmed from ${UI.formatDuration(mediaDuration)}"` : ""}>${isTrimmed ? "✂ " : ""}${timeStr}</span> ${markerCount > 0 ? `<span class="ml-1 text-indigo-300 bg-indigo-500/10 border border-indigo-500/20 px-1.5 py-0.5 rounded font-medium flex items-center gap-1">🎯 ${markerCount}</span>` : ""}
+    ${silenceBadge}
+    ${clipBadge}
+    ${v.captions?.cueCount ? `<span class="text-gray-300 bg-white/5 border border-white/10 px-1.5 py-0.5 rounded font-medium" title="${v.captions.cueCount} captions">💬 CC</span>` : ""}
+    ${v.overtime ? `<span class="text-red-300 bg-red-500/10 border border-red-500/20 px-1.5 py-0.5 rounded font-medium" title="Target ${UI.formatDuration(v.targetDuration)}">⏱ +${UI.formatDuration((v.actualDuration || v.duration || 0) - v.targetDuration)}</span>` : ""}
 `;
       
       const actions = document.createElement("div");
@@ -669,7 +1114,7 @@ meta.innerHTML = `
       const playBtn = document.createElement("button");
       // ✅ CHANGE: Solid UK Blue Background + White Text (Button Style)
       playBtn.className = "px-3 py-1 bg-[#0033A0] hover:bg-[#004db3] text-white text-sm font-medium rounded shadow-sm transition-colors flex items-center gap-1";
-      playBtn.innerHTML = v.downloadURL ? "▶ Play" : "📂 Open";
+      playBtn.innerHTML = providerForVideo(v).id === "local" ? "📂 Open" : "▶ Play";
       playBtn.onclick = () => UI.openScoringForVideo(v.id);
       // 2. Score
       const scoreBtn = document.createElement("button");
@@ -677,6 +1122,16 @@ meta.innerHTML = `
       scoreBtn.innerHTML = v.hasScore ? `✓ ${v.totalScore} pts` : "✎ Score";
       scoreBtn.onclick = () => UI.openScoringForVideo(v.id);
 
+      // 2b. Locate (local recordings whose file was renamed or moved)
+      let locateBtn = null;
+      if (providerForVideo(v).id === "local") {
+        locateBtn = document.createElement("button");
+        locateBtn.className = "text-gray-400 hover:text-white text-sm font-medium flex items-center gap-1";
+        locateBtn.title = v.localFileName ? `Saved as ${v.localFileName}` : "Find this recording on disk";
+        locateBtn.innerHTML = "🔗 Locate";
+        locateBtn.onclick = () => handleOpenLocalVideo(v.id);
+      }
+
      // 3. COPY (New)
       const copyBtn = document.createElement("button");
       // Changed to group/copy
@@ -719,12 +1174,32 @@ meta.innerHTML = `
 
       actions.appendChild(playBtn);
       actions.appendChild(scoreBtn);
+      if (locateBtn) actions.appendChild(locateBtn);
       actions.appendChild(copyBtn);
       actions.appendChild(editBtn);
       actions.appendChild(deleteBtn);
 
+      const thumb = title.querySelector(".library-thumb");
+      if (thumb) {
+          bindScrubPreview(thumb);
+          thumb.onclick = () => UI.openScoringForVideo(v.id);
+      }
+
       card.appendChild(title);
       card.appendChild(meta);
+
+      // 💬 Transcript hit: show the cue and open the player right there
+      const hit = transcriptHits[v.id];
+      if (hit) {
+          const snippet = document.createElement("button");
+          snippet.type = "button";
+          snippet.className = "text-left text-xs text-gray-300 bg-white/5 hover:bg-white/10 border border-white/10 rounded px-2 py-1 flex gap-2";
+          snippet.innerHTML = `<span class="font-mono text-primary-300 flex-shrink-0">💬 ${UI.formatDuration(hit.start)}</span><span class="truncate"></span>`;
+          snippet.lastElementChild.textContent = hit.text;
+          snippet.onclick = () => UI.openScoringForVideo(v.id, { seekTo: hit.start });
+          card.appendChild(snippet);
+      }
+
       card.appendChild(actions);
 
       listEl.appendChild(card);
@@ -735,13 +1210,64 @@ meta.innerHTML = `
 export function resetLibraryFilters() {
     const c = document.getElementById("lib-filter-class");
     const r = document.getElementById("lib-filter-rubric");
+    const t = document.getElementById("lib-filter-timing");
+    const q = document.getElementById("lib-search");
     if(c) c.value = "all";
     if(r) r.value = "all";
+    if(t) t.value = "all";
+    if(q) q.value = "";
     renderLibraryFiltered();
 }
 
-export function handleOpenLocalVideo(title) {
-    UI.toast("Please use the 'Open File' button on a library card.", "info");
+// ⬇ Bulk marker export: one CSV for the filtered list + a chapters file per video
+export async function exportLibraryMarkers() {
+    const withMarkers = LIBRARY_VISIBLE.filter(v => Array.isArray(v.tags) && v.tags.length);
+    if (!withMarkers.length) {
+        UI.toast("No videos with markers match your filters.", "info");
+        return;
+    }
+
+    if (!await UI.showConfirm(
+        `Download markers for ${withMarkers.length} video(s)?<br><br>You'll get one .zip with a marker CSV plus a chapters (.vtt) file per video.`,
+        "Export Markers",
+        "Download"
+    )) return;
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const files = [];
+    const csv = buildMarkerCsv(withMarkers);
+    if (csv) files.push({ name: `markers_${stamp}.csv`, text: csv });
+
+    const used = new Set();
+    for (const v of withMarkers) {
+        const bounds = UI.getPlaybackBounds(v);
+        const vtt = buildChaptersVtt(v.tags, { start: bounds.start, end: bounds.end ?? (v.mediaDuration || v.duration || null) });
+        if (!vtt) continue;
+
+        // Two clips of one student on one day would share a name
+        const base = markerFileBase(v);
+        let name = `chapters/${base}_chapters.vtt`;
+        for (let n = 2; used.has(name); n++) name = `chapters/${base}_${n}_chapters.vtt`;
+        used.add(name);
+        files.push({ name, text: vtt });
+    }
+
+    UI.downloadZip(files, `markers_${stamp}.zip`);
+    UI.toast(`Exported markers for ${withMarkers.length} video(s) (${files.length - (csv ? 1 : 0)} chapter file(s)).`, "success");
+}
+
+// 📂 Point a local record at its file again (renamed, moved or new computer)
+export async function handleOpenLocalVideo(videoId) {
+    const video = LIBRARY_CACHE.find(v => v.id === videoId);
+    if (!video) return;
+
+    try {
+        const file = await relinkLocalFile(video);
+        if (file) await UI.openScoringForVideo(videoId, { localFile: file });
+    } catch (err) {
+        console.error("[Folder] Locate failed:", err);
+        UI.toast("Failed to open local file.", "error");
+    }
 }
 
 export async function handleScoringSubmit(data) {
@@ -772,8 +1298,28 @@ export async function duplicateVideo(originalId) {
         const newDocData = {
             storagePath: original.storagePath,
             downloadURL: original.downloadURL,
+            // Provider pointers, so the copy plays from the same file
+            storageProvider: original.storageProvider || null,
+            localFileName: original.localFileName || null,
+            driveFileId: original.driveFileId || null,
+            driveFolderId: original.driveFolderId || null,
+            s3Key: original.s3Key || null,
+            s3Bucket: original.s3Bucket || null,
             fileSize: original.fileSize || 0,
             duration: original.duration || 0,
+            mediaDuration: original.mediaDuration || original.duration || 0,
+            trimStart: original.trimStart || 0,
+            trimEnd: original.trimEnd ?? null,
+            mimeType: original.mimeType || null,
+            container: original.container || null,
+            posterPath: original.posterPath || null,
+            posterURL: original.posterURL || null,
+            posterSize: original.posterSize || null,
+            scrubPath: original.scrubPath || null,
+            scrubURL: original.scrubURL || null,
+            scrubSize: original.scrubSize || null,
+            scrubFrames: original.scrubFrames || null,
+            captions: original.captions || null,
             recordedAt: original.recordedAt,
             
             participant: original.participant, // Keep name
@@ -800,6 +1346,8 @@ export async function duplicateVideo(originalId) {
         };
            
         const newDocRef = await addDoc(colRef, newDocData);
+        const cues = await getVideoTranscript(original);
+        if (cues.length) await setDoc(captionsRef(newDocRef.id), { cues });
 
         UI.toast("Video duplicated!", "success");
         await loadLibrary(); 
@@ -886,73 +1434,101 @@ async function saveVideoEdits() {
     }
 }
 
-// 4. SMART DELETE (Protects Shared Files)
-// ✅ FINAL SAFE DELETE (Uses Native Popup for Safety)
+// 4. SOFT DELETE → Trash (restorable; trash.js purges the file later and
+// keeps it if other scorecards still share it)
 export async function deleteVideo(videoId) {
     if (!Array.isArray(LIBRARY_CACHE)) return;
     
     const video = LIBRARY_CACHE.find(v => v.id === videoId);
     if (!video) { UI.toast("Video not found.", "error"); return; }
-    
-    const isLocal = video.storagePath === "local";
-    
-    // 1. Initial Confirmation (Standard UI is fine here)
-    let confirmed = false;
-    if (isLocal) {
-        confirmed = await UI.showConfirm("⚠️ Remove from App Library?\n\nThis will remove the data and score from Analytics, but the video file will REMAIN on your computer's hard drive.", "Delete Local Record", "Delete");
-    } else {
-        confirmed = await UI.showConfirm("Are you sure you want to delete this record?", "Delete Video", "Delete");
-    }
 
+    const days = getTrashKeepDays();
+    const othersUsingFile = LIBRARY_CACHE.filter(v => v.id !== videoId && v.storagePath === video.storagePath);
+    const clipCount = othersUsingFile.filter(v => v.isSegment).length;
+    const sharedNote = othersUsingFile.length && providerForVideo(video).id !== "local"
+        ? `<br><br>The video file is shared with ${othersUsingFile.length} other scorecard(s)${clipCount ? ` (${clipCount} split clip(s))` : ""} and stays safe for them.`
+        : "";
+
+    const confirmed = await UI.showConfirm(
+        `Move this record to the Trash?<br><br>You can restore it with its scores and markers for ${days} day(s); after that it is deleted for good.${sharedNote}`,
+        "Delete Video",
+        "Move to Trash"
+    );
     if (!confirmed) return;
 
     try {
-        UI.toast("Deleting...", "info");
-
-        // 2. CHECK FOR DEPENDENTS
-        const othersUsingFile = LIBRARY_CACHE.filter(v => 
-            v.id !== videoId && 
-            v.storagePath === video.storagePath
-        );
-
-        let deleteFile = false;
+        await moveVideoToTrash(video);
+        UI.toast("Moved to Trash.", "success");
+        await loadLibrary(); 
+    } catch (e) {
+        console.error("Delete failed:", e);
+        UI.toast("Delete failed.", "error");
+    }
+}
 
-        if (!isLocal && othersUsingFile.length > 0) {
-            // Case A: File is shared. PROTECT IT.
-            // 🛑 USE NATIVE BROWSER POPUP TO AVOID UI BUGS 🛑
-            const protectConfirmed = window.confirm(
-                `Protected Mode Active:\n\nThis video file is currently shared with ${othersUsingFile.length} other scorecard(s).\n\nWe will delete THIS scorecard, but the video file will remain safe for the others.\n\nClick OK to Delete Scorecard.`
-            );
-            
-            if (!protectConfirmed) return; // User clicked Cancel
-            
-            deleteFile = false; 
+// ☁ Firebase provider delete: the file, its thumbnails and its usage ledger entry.
+// An object that is already gone counts as deleted; any other failure keeps
+// that path's ledger entry and rethrows, so the caller keeps the doc to retry.
+export async function deleteFirebaseFiles(video) {
+    if (!video.storagePath) return;
 
-        } else if (!isLocal) {
-            // Case B: No one else uses this file. DESTROY IT.
-            deleteFile = true; 
+    // 🖼️ Thumbnails go with the file
+    const gone = [];
+    let failure = null;
+    for (const path of [video.storagePath, video.posterPath, video.scrubPath].filter(Boolean)) {
+        try {
+            await deleteObject(ref(UI.storage, path));
+            gone.push(path);
+        } catch (err) {
+            if (err.code === "storage/object-not-found") {
+                gone.push(path);
+                continue;
+            }
+            console.warn(`File delete error (${path}):`, err);
+            if (!failure) failure = err;
         }
+    }
 
-        const docRef = doc(UI.db, `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/videos`, videoId);
-        await deleteDoc(docRef);
+    try {
+        for (const path of gone) await releaseStorageUsage(path);
+    } catch (err) {
+        await repairStorageUsage(err);
+    }
+    if (failure) throw failure;
+}
 
-        if (deleteFile && video.storagePath) {
-            try {
-                const fileRef = ref(UI.storage, video.storagePath);
-                await deleteObject(fileRef);
-                
-            } catch (err) {
-                console.warn("File delete error (might already be gone):", err);
-            }
-        }
+/* -------------------------------------------------------------------------- */
+/* 💬 Transcripts: cues live in videos/{id}/captions/main so the video doc    */
+/* stays small; the doc only keeps the `captions` summary (name, cue count). */
+/* -------------------------------------------------------------------------- */
+function captionsRef(videoId) {
+    return doc(UI.db, `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/videos/${videoId}/captions/main`);
+}
 
-        UI.toast("Deleted successfully.", "success");
-        await loadLibrary(); 
+/** Cues for a video ([] if none). Older docs still carry them inline. */
+export async function getVideoTranscript(video) {
+    if (Array.isArray(video?.transcript) && video.transcript.length) return video.transcript;
+    if (!video?.captions?.cueCount || !UI.currentUser) return [];
+    const snap = await getDoc(captionsRef(video.id));
+    return snap.exists() ? (snap.data().cues || []) : [];
+}
 
-    } catch (e) {
-        console.error("Delete failed:", e);
-        UI.toast("Delete failed.", "error");
-    }
+// Transcript writes throw so the caller can report failures itself
+export async function saveVideoCaptions(videoId, transcript, captions) {
+    if (!UI.currentUser) throw new Error("NOT_SIGNED_IN");
+    const batch = writeBatch(UI.db);
+    if (transcript.length) batch.set(captionsRef(videoId), { cues: transcript });
+    else batch.delete(captionsRef(videoId));
+    batch.update(doc(UI.db, `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/videos`, videoId), {
+        captions,
+        transcript: deleteField() // Drop any inline copy from before the split
+    });
+    await batch.commit();
+}
+
+// Permanent deletes only; trashed videos keep theirs so a restore brings it back
+export async function deleteVideoTranscript(videoId) {
+    await deleteDoc(captionsRef(videoId));
 }
 
 // ✅ GROUP-SAFE SCORING — Compatible with SCA Schema
@@ -0,0 +1,172 @@
+/* ========================================================================== */
+/* MODULE: localfolder.js
+/* Remembered recordings folder for "local" saves (File System Access API).
+/* - The directory handle is kept in IndexedDB, so it survives reloads
+/* - Local saves write into it and the video doc stores localFileName
+/* - Playback tries the file handle remembered from the last "Locate", then
+/*   the folder by name
+/* - Permission is only queried here. Asking would spend the click the caller
+/*   needs for a picker, so without access callers fall back to "Locate File"
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const FOLDER_KEY = "recordingsFolder";
+
+let folderHandle;   // undefined = not loaded yet, null = none chosen
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+async function loadFolder() {
+  if (folderHandle !== undefined) return folderHandle;
+  try {
+    const db = await UI.openAppDB();
+    folderHandle = await UI.idbRequest(
+      db.transaction(UI.IDB_HANDLE_STORE, "readonly").objectStore(UI.IDB_HANDLE_STORE).get(FOLDER_KEY)
+    ) || null;
+  } catch (err) {
+    console.warn("[Folder] Could not load the recordings folder:", err);
+    folderHandle = null;
+  }
+  return folderHandle;
+}
+
+// Handles come back from IndexedDB without permission after a restart
+async function hasPermission(handle, mode) {
+  try {
+    return await handle.queryPermission({ mode }) === "granted";
+  } catch {
+    return false;
+  }
+}
+
+// Group copies share one file name, so relinking one relinks them all
+function fileHandleKey(video) {
+  return video.localFileName ? `file:${video.localFileName}` : `video:${video.id}`;
+}
+
+async function loadFileHandle(video) {
+  try {
+    const db = await UI.openAppDB();
+    return await UI.idbRequest(
+      db.transaction(UI.IDB_HANDLE_STORE, "readonly").objectStore(UI.IDB_HANDLE_STORE).get(fileHandleKey(video))
+    ) || null;
+  } catch (err) {
+    console.warn("[Folder] Could not load the file handle:", err);
+    return null;
+  }
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+export function isFolderSupported() {
+  return typeof window.showDirectoryPicker === "function";
+}
+
+export async function chooseRecordingsFolder() {
+  if (!isFolderSupported()) {
+    UI.toast("This browser can't remember a folder. Use Chrome or Edge on a computer.", "error");
+    return;
+  }
+
+  let handle;
+  try {
+    handle = await window.showDirectoryPicker({ id: "reelrubric-recordings", mode: "readwrite" });
+  } catch (err) {
+    if (err.name !== "AbortError") UI.toast("Could not open the folder picker.", "error");
+    return;
+  }
+
+  const db = await UI.openAppDB();
+  await UI.idbRequest(db.transaction(UI.IDB_HANDLE_STORE, "readwrite").objectStore(UI.IDB_HANDLE_STORE).put(handle, FOLDER_KEY));
+  folderHandle = handle;
+  renderFolderStatus();
+  UI.toast(`Local recordings will be saved to "${handle.name}".`, "success");
+}
+
+export async function forgetRecordingsFolder() {
+  const db = await UI.openAppDB();
+  await UI.idbRequest(db.transaction(UI.IDB_HANDLE_STORE, "readwrite").objectStore(UI.IDB_HANDLE_STORE).delete(FOLDER_KEY));
+  folderHandle = null;
+  renderFolderStatus();
+  UI.toast("Recordings folder forgotten. Local saves will ask where to go.", "info");
+}
+
+/** Writes the file into the folder. Returns false if there's no usable folder. */
+export async function writeRecording(name, blob) {
+  const folder = await loadFolder();
+  if (!folder || !await hasPermission(folder, "readwrite")) return false;
+
+  const fileHandle = await folder.getFileHandle(name, { create: true });
+  const w = await fileHandle.createWritable();
+  await w.write(blob);
+  await w.close();
+  return true;
+}
+
+/** Remembers the handle the teacher located, so the next playback skips the picker. */
+export async function rememberFileHandle(video, handle) {
+  if (!handle) return;
+  try {
+    const db = await UI.openAppDB();
+    await UI.idbRequest(
+      db.transaction(UI.IDB_HANDLE_STORE, "readwrite").objectStore(UI.IDB_HANDLE_STORE).put(handle, fileHandleKey(video))
+    );
+  } catch (err) {
+    console.warn("[Folder] Could not remember the file:", err);
+  }
+}
+
+/** The video's file, or null (nothing remembered, no access, not there). */
+export async function findRecording(video) {
+  const handle = await loadFileHandle(video);
+  if (handle && await hasPermission(handle, "read")) {
+    try {
+      return await handle.getFile();
+    } catch (err) {
+      if (err.name !== "NotFoundError") console.warn("[Folder] Remembered file failed:", err);
+    }
+  }
+
+  const name = video.localFileName;
+  if (!name) return null;
+  const folder = await loadFolder();
+  if (!folder || !await hasPermission(folder, "read")) return null;
+
+  try {
+    return await (await folder.getFileHandle(name)).getFile();
+  } catch (err) {
+    if (err.name !== "NotFoundError") console.warn("[Folder] Lookup failed:", err);
+    return null;
+  }
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+export async function renderFolderStatus() {
+  const label = UI.$("#recordings-folder-name");
+  if (!label) return;
+
+  if (!isFolderSupported()) {
+    label.textContent = "Not supported in this browser";
+    UI.$("#choose-recordings-folder-btn")?.setAttribute("disabled", "");
+    return;
+  }
+
+  const folder = await loadFolder();
+  const needsAccess = folder && !await hasPermission(folder, "readwrite");
+  label.textContent = !folder
+    ? "Not set (asks on each save)"
+    : needsAccess ? `${folder.name} (choose it again to allow access)` : folder.name;
+  UI.$("#forget-recordings-folder-btn")?.classList.toggle("hidden", !folder);
+}
@@ -9,6 +9,18 @@ import * as DB from "./firestore.js";
 import * as Record from "./record.js";
 import * as Rubrics from "./rubrics.js"; 
 import * as Analytics from "./analytics.js";
+import * as Tags from "./tags.js";
+import * as Batch from "./batch.js";
+import * as Segments from "./segments.js";
+import * as Captions from "./captions.js";
+import * as Queue from "./queue.js";
+import * as Uploads from "./uploads.js";
+import * as Drive from "./drive.js";
+import * as S3 from "./s3.js";
+import * as Storage from "./storage.js";
+import * as LocalFolder from "./localfolder.js";
+import * as Retention from "./retention.js";
+import * as Trash from "./trash.js";
 
 // DEV MODE flag from URL: ?dev=1
 window.__DEV_ANALYTICS__ = new URLSearchParams(window.location.search).get("dev") === "1";
@@ -37,6 +49,47 @@ function setupEventListeners() {
   const signoutBtn = UI.$("#signout-btn");
   if (signoutBtn) signoutBtn.onclick = Auth.handleSignOut;
 
+  // 💾 Storage usage
+  const recalcStorageBtn = UI.$("#recalc-storage-btn");
+  if (recalcStorageBtn) recalcStorageBtn.onclick = async () => {
+      recalcStorageBtn.disabled = true;
+      await DB.recalculateStorageUsage();
+      recalcStorageBtn.disabled = false;
+  };
+
+  // ☁ Upload queue manager
+  const queueBtn = UI.$("#upload-queue-btn");
+  if (queueBtn) queueBtn.onclick = Queue.openQueueManager;
+
+  const queueCloseBtn = UI.$("#upload-queue-close-btn");
+  if (queueCloseBtn) queueCloseBtn.onclick = Queue.closeQueueManager;
+
+  const queueRetryAllBtn = UI.$("#upload-queue-retry-all-btn");
+  if (queueRetryAllBtn) queueRetryAllBtn.onclick = Queue.retryAllQueued;
+
+  // 🗑 Trash (soft-deleted videos and rubrics)
+  const openTrashBtn = UI.$("#open-trash-btn");
+  if (openTrashBtn) openTrashBtn.onclick = Trash.openTrash;
+
+  const trashCloseBtn = UI.$("#trash-close-btn");
+  if (trashCloseBtn) trashCloseBtn.onclick = Trash.closeTrash;
+
+  const trashEmptyBtn = UI.$("#trash-empty-btn");
+  if (trashEmptyBtn) trashEmptyBtn.onclick = Trash.emptyTrash;
+
+  const trashDaysInput = UI.$("#trash-keep-days");
+  if (trashDaysInput) trashDaysInput.onchange = (e) => Trash.setTrashKeepDays(e.target.value);
+
+  // 🗓️ Class retention notice
+  const retentionCloseBtn = UI.$("#retention-close-btn");
+  if (retentionCloseBtn) retentionCloseBtn.onclick = Retention.closeRetentionNotice;
+
+  const retentionLaterBtn = UI.$("#retention-later-btn");
+  if (retentionLaterBtn) retentionLaterBtn.onclick = Retention.closeRetentionNotice;
+
+  const retentionPurgeBtn = UI.$("#retention-purge-btn");
+  if (retentionPurgeBtn) retentionPurgeBtn.onclick = Retention.purgeDueClasses;
+
  // ==========================================
   // NEW: Subscribe Button (Paywall Banner)
   // ==========================================
@@ -386,6 +439,68 @@ if (deleteClassBtn) {
     storageSelect.onchange = (e) => {
       UI.setStorageChoice(e.target.value);
       UI.toast(`Storage switched to ${e.target.value}`, "info");
+      const usageOut = UI.$("#provider-usage");
+      if (usageOut) usageOut.textContent = "";
+    };
+  }
+
+  const providerUsageBtn = UI.$("#provider-usage-btn");
+  if (providerUsageBtn) providerUsageBtn.onclick = Storage.showProviderUsage;
+
+  // 📂 Remembered folder for local recordings
+  const chooseFolderBtn = UI.$("#choose-recordings-folder-btn");
+  if (chooseFolderBtn) chooseFolderBtn.onclick = LocalFolder.chooseRecordingsFolder;
+
+  const forgetFolderBtn = UI.$("#forget-recordings-folder-btn");
+  if (forgetFolderBtn) forgetFolderBtn.onclick = LocalFolder.forgetRecordingsFolder;
+
+  LocalFolder.renderFolderStatus();
+
+  const driveClientInput = UI.$("#drive-client-id");
+  if (driveClientInput) {
+    driveClientInput.value = Drive.getDriveClientId();
+    driveClientInput.onchange = (e) => {
+      Drive.setDriveClientId(e.target.value);
+      UI.toast("Google Drive client ID saved.", "success");
+    };
+  }
+
+  // Google only allows the sign-in popup from a click, so Drive connects here
+  const driveConnectBtn = UI.$("#drive-connect-btn");
+  if (driveConnectBtn) {
+    driveConnectBtn.onclick = async () => {
+      try {
+        await Drive.connectDrive();
+        UI.toast("Google Drive connected.", "success");
+      } catch (err) {
+        console.warn("[Drive] Connect failed:", err);
+        UI.toast(`Google Drive: ${Storage.storageErrorMessage(err)}`, "error");
+      }
+    };
+  }
+  Drive.preloadDriveSignIn();
+  Drive.renderDriveStatus();
+
+  // 🪣 S3-compatible bucket (MinIO etc.)
+  const s3Fields = { endpoint: "#s3-endpoint", bucket: "#s3-bucket", region: "#s3-region" };
+  const s3KeyFields = { accessKeyId: "#s3-access-key", secretAccessKey: "#s3-secret-key", sessionToken: "#s3-session-token" };
+  const s3Config = S3.getS3Config();
+  Object.entries(s3Fields).forEach(([key, sel]) => {
+    const input = UI.$(sel);
+    if (input) input.value = s3Config[key] || "";
+  });
+
+  const saveS3Btn = UI.$("#save-s3-btn");
+  if (saveS3Btn) {
+    saveS3Btn.onclick = () => {
+      const cfg = {};
+      const keys = {};
+      Object.entries(s3Fields).forEach(([key, sel]) => { cfg[key] = UI.$(sel)?.value || ""; });
+      Object.entries(s3KeyFields).forEach(([key, sel]) => { keys[key] = UI.$(sel)?.value || ""; });
+      S3.setS3Config(cfg);
+      S3.setS3Credentials(keys);
+      if (S3.isS3Configured()) UI.toast("S3 bucket settings saved. Keys are kept for this tab only.", "success");
+      else UI.toast("Saved, but endpoint, bucket, both keys and a session token are needed to use S3.", "info");
     };
   }
 
@@ -407,6 +522,13 @@ if (uploadLocalBtn && videoUploadInput) {
 
     // File selected
     videoUploadInput.addEventListener("change", (e) => {
+        // 📦 Several files → batch import with roster matching
+        if (e.target.files.length > 1) {
+            Batch.openBatchImport(e.target.files);
+            videoUploadInput.value = "";
+            return;
+        }
+
         const file = e.target.files[0];
         if (!file) return;
 
@@ -429,12 +551,52 @@ if (uploadLocalBtn && videoUploadInput) {
     });
 }
   
+  // 📦 Batch Import
+  const batchImportBtn = UI.$("#batch-import-btn");
+  if (batchImportBtn) batchImportBtn.onclick = () => Batch.openBatchImport();
+
+  const batchFilesInput = UI.$("#batch-import-input");
+  const batchFolderInput = UI.$("#batch-folder-input");
+  [batchFilesInput, batchFolderInput].forEach(input => {
+    if (!input) return;
+    input.onchange = (e) => {
+      Batch.addBatchFiles(e.target.files);
+      input.value = "";
+    };
+  });
+
+  const batchAddFilesBtn = UI.$("#batch-add-files-btn");
+  if (batchAddFilesBtn) batchAddFilesBtn.onclick = () => batchFilesInput?.click();
+
+  const batchAddFolderBtn = UI.$("#batch-add-folder-btn");
+  if (batchAddFolderBtn) batchAddFolderBtn.onclick = () => batchFolderInput?.click();
+
+  const batchStartBtn = UI.$("#batch-import-start-btn");
+  if (batchStartBtn) batchStartBtn.onclick = Batch.startBatchImport;
+
+  const batchCloseBtn = UI.$("#batch-import-close-btn");
+  if (batchCloseBtn) batchCloseBtn.onclick = Batch.closeBatchImport;
+
+  const batchDialog = UI.$("#batch-import-screen");
+  if (batchDialog) batchDialog.addEventListener("cancel", Batch.handleBatchDialogCancel);
+
   const toggleCamBtn = UI.$("#toggle-camera-btn");
   if (toggleCamBtn) toggleCamBtn.onclick = Record.toggleCamera;
   
   const tagBtn = UI.$("#tag-btn");
   if (tagBtn) tagBtn.onclick = Record.handleTagButtonClick;
 
+  // Marker presets (chips + 1–9 hotkeys)
+  const tagPresetBar = UI.$("#tag-preset-bar");
+  if (tagPresetBar) tagPresetBar.onclick = Record.handleTagPresetClick;
+  document.addEventListener("keydown", Record.handleTagHotkey);
+
+  const addTagPresetBtn = UI.$("#add-tag-preset-btn");
+  if (addTagPresetBtn) addTagPresetBtn.onclick = Tags.addTagPresetRow;
+
+  const saveTagPresetsBtn = UI.$("#save-tag-presets-btn");
+  if (saveTagPresetsBtn) saveTagPresetsBtn.onclick = Tags.saveTagPresets;
+
   // Manual Preview Button
     const manualPreviewBtn = UI.$("#manual-preview-btn");
     
@@ -453,6 +615,52 @@ if (uploadLocalBtn && videoUploadInput) {
         };
     }
   
+  // Screen + Presenter mode
+  const recordModeSelect = UI.$("#record-mode-select");
+  if (recordModeSelect) {
+    recordModeSelect.value = UI.recordMode;
+    recordModeSelect.onchange = (e) => Record.setRecordMode(e.target.value);
+  }
+
+  const pipCornerSelect = UI.$("#pip-corner-select");
+  if (pipCornerSelect) {
+    pipCornerSelect.value = UI.pipCorner;
+    pipCornerSelect.onchange = (e) => Record.setPipCorner(e.target.value);
+  }
+
+  // Per-class presentation timer
+  const timerClassSelect = UI.$("#timer-class-select");
+  if (timerClassSelect) timerClassSelect.onchange = Record.handleTimerClassChange;
+
+  // Quality presets
+  const qualitySelect = UI.$("#quality-preset-select");
+  if (qualitySelect) {
+    qualitySelect.value = UI.getQualityPresetKey();
+    qualitySelect.onchange = (e) => Record.setQualityPreset(e.target.value);
+  }
+  UI.updateQualityEstimate();
+
+  // 🖼️ Library thumbnail offset
+  const posterOffsetSelect = UI.$("#poster-offset-select");
+  if (posterOffsetSelect) {
+    posterOffsetSelect.value = String(UI.getPosterOffset());
+    posterOffsetSelect.onchange = (e) => UI.setPosterOffset(e.target.value);
+  }
+
+  // Camera / microphone picker
+  ["camera", "mic"].forEach(name => {
+    const sel = UI.$(`#${name}-device-select`);
+    if (!sel) return;
+    sel.onchange = (e) => {
+      const opt = e.target.selectedOptions[0];
+      Record.handleDeviceSelect(name === "camera" ? "video" : "audio", e.target.value, opt?.value ? opt.textContent : "");
+    };
+  });
+  navigator.mediaDevices?.addEventListener?.("devicechange", Record.handleDeviceListChange);
+
+  const previewPlayer = UI.$("#preview-player");
+  if (previewPlayer) previewPlayer.onclick = Record.handlePreviewClick;
+
   // Preview Fullscreen Button
   const previewFS = UI.$("#preview-fullscreen-btn");
   if (previewFS) {
@@ -477,6 +685,25 @@ if (uploadLocalBtn && videoUploadInput) {
   const addPartBtn = UI.$("#add-participant-btn");
   if (addPartBtn) addPartBtn.onclick = Record.handleAddNewParticipant;
 
+  // ✂️ Trim bar
+  const trimStartRange = UI.$("#trim-start-range");
+  if (trimStartRange) trimStartRange.oninput = (e) => Record.handleTrimInput("start", e.target.value);
+
+  const trimEndRange = UI.$("#trim-end-range");
+  if (trimEndRange) trimEndRange.oninput = (e) => Record.handleTrimInput("end", e.target.value);
+
+  const trimSetStartBtn = UI.$("#trim-set-start-btn");
+  if (trimSetStartBtn) trimSetStartBtn.onclick = () => Record.handleTrimSetPoint("start");
+
+  const trimSetEndBtn = UI.$("#trim-set-end-btn");
+  if (trimSetEndBtn) trimSetEndBtn.onclick = () => Record.handleTrimSetPoint("end");
+
+  const trimResetBtn = UI.$("#trim-reset-btn");
+  if (trimResetBtn) trimResetBtn.onclick = Record.handleTrimReset;
+
+  const trimSuggestBtn = UI.$("#trim-suggest-btn");
+  if (trimSuggestBtn) trimSuggestBtn.onclick = Record.suggestRecordingBoundaries;
+
   const cancelUploadBtn = UI.$("#cancel-upload-btn");
   if (cancelUploadBtn) cancelUploadBtn.onclick = async () => {
     const confirmed = await UI.showConfirm(
@@ -500,6 +727,43 @@ if (uploadLocalBtn && videoUploadInput) {
   if (legacyCloseBtn) legacyCloseBtn.onclick = () => UI.closeVideoPlayer();
 
   const getMainPlayer = () => UI.$("#main-player");
+
+  // ✂️ Split into per-student clips
+  const splitBtn = UI.$("#player-split-btn");
+  if (splitBtn) splitBtn.onclick = Segments.toggleSegmentEditor;
+
+  const segmentCloseBtn = UI.$("#segment-close-btn");
+  if (segmentCloseBtn) segmentCloseBtn.onclick = Segments.toggleSegmentEditor;
+
+  const segmentAddBtn = UI.$("#segment-add-boundary-btn");
+  if (segmentAddBtn) segmentAddBtn.onclick = Segments.handleAddBoundary;
+
+  const segmentMarkersBtn = UI.$("#segment-from-markers-btn");
+  if (segmentMarkersBtn) segmentMarkersBtn.onclick = Segments.handleBoundariesFromMarkers;
+
+  const segmentCreateBtn = UI.$("#segment-create-btn");
+  if (segmentCreateBtn) segmentCreateBtn.onclick = Segments.handleCreateClips;
+
+  // 💬 Captions & transcript
+  const ccBtn = UI.$("#player-cc-btn");
+  if (ccBtn) ccBtn.onclick = Captions.toggleTranscriptPanel;
+
+  const transcriptCloseBtn = UI.$("#transcript-close-btn");
+  if (transcriptCloseBtn) transcriptCloseBtn.onclick = Captions.toggleTranscriptPanel;
+
+  const captionInput = UI.$("#caption-file-input");
+  const transcriptAttachBtn = UI.$("#transcript-attach-btn");
+  if (transcriptAttachBtn && captionInput) transcriptAttachBtn.onclick = () => captionInput.click();
+  if (captionInput) captionInput.onchange = async (e) => {
+      await Captions.handleCaptionFile(e.target.files?.[0]);
+      e.target.value = "";
+  };
+
+  const transcriptRemoveBtn = UI.$("#transcript-remove-btn");
+  if (transcriptRemoveBtn) transcriptRemoveBtn.onclick = Captions.removeCaptions;
+
+  const transcriptSearch = UI.$("#transcript-search");
+  if (transcriptSearch) transcriptSearch.oninput = Captions.handleTranscriptSearch;
   
   const vpBack = UI.$("#player-back-10");
   if (vpBack) vpBack.onclick = () => {
@@ -530,7 +794,14 @@ if (uploadLocalBtn && videoUploadInput) {
   // ----------------------------------------------------
   window.addEventListener("online", () => {
     UI.toast("You're back online!", "success");
-    DB.flushOfflineQueue();
+    Queue.flushOfflineQueue();
+  });
+
+  // A reload restarts an in-flight upload from the queued copy; warn anyway
+  window.addEventListener("beforeunload", (e) => {
+    if (!Uploads.hasActiveUploads()) return;
+    e.preventDefault();
+    e.returnValue = "";
   });
 
   window.addEventListener("offline", () => {
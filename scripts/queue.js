@@ -0,0 +1,392 @@
+/* ========================================================================== */
+/* MODULE: queue.js
+/* Offline / flaky-network upload queue (IndexedDB "pendingUploads").
+/* - Each item keeps status, attempts, lastError and nextRetryAt
+/* - Items are deleted only after saveRecording() resolves (Firestore confirmed)
+/* - Automatic retries back off exponentially; the header button opens a manager
+/* - New cloud saves go through startUpload(), so a reload mid-upload resumes
+/*   from the stored copy on next login
+/* - Group saves store the primary doc on the item once it exists, so a retry
+/*   only writes the missing copies
+/* - The resumable session (resumable.js) is stored on the item after every
+/*   chunk, so a retry or a reload continues the upload where it stopped
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+import * as Uploads from "./uploads.js";
+import { saveRecording } from "./firestore.js";
+import { providerForVideo } from "./storage.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const RETRY_BASE_MS = 30_000;          // 30s, 1m, 2m, 4m...
+const RETRY_MAX_MS = 30 * 60_000;      // ...capped at 30 minutes
+
+// Errors worth retrying by themselves; anything else waits for the user
+const RETRYABLE_CODES = new Set([
+  "storage/retry-limit-exceeded",
+  "storage/unknown",
+  "storage/server-file-wrong-size",
+  "unavailable",
+  "deadline-exceeded",
+  "auth/network-request-failed"
+]);
+
+let queueItems = [];       // [{ key, ...item }] for the current user
+const activeKeys = new Set(); // Items uploading in this tab right now
+let flushing = false;
+let retryTimer = null;
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Items written before per-item status existed are plain { blob, metadata, timestamp }
+function normalizeItem(key, value) {
+  return {
+    key,
+    ...value,
+    status: value.status || "pending",
+    attempts: value.attempts || 0,
+    lastError: value.lastError || null,
+    nextRetryAt: value.nextRetryAt ?? 0
+  };
+}
+
+async function readAll() {
+  const db = await UI.openAppDB();
+  const store = db.transaction(UI.IDB_STORE, "readonly").objectStore(UI.IDB_STORE);
+
+  return new Promise((resolve, reject) => {
+    const out = [];
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(out);
+      out.push(normalizeItem(cursor.key, cursor.value));
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function writeItem(item) {
+  const { key, ...value } = item;
+  const db = await UI.openAppDB();
+  await UI.idbRequest(db.transaction(UI.IDB_STORE, "readwrite").objectStore(UI.IDB_STORE).put(value, key));
+}
+
+async function deleteItem(key) {
+  const db = await UI.openAppDB();
+  await UI.idbRequest(db.transaction(UI.IDB_STORE, "readwrite").objectStore(UI.IDB_STORE).delete(key));
+}
+
+// Own items only; legacy items without a uid are offered to whoever signs in
+async function refreshItems() {
+  const uid = UI.currentUser?.uid;
+  try {
+    queueItems = (await readAll()).filter(i => !i.uid || i.uid === uid);
+  } catch (err) {
+    console.warn("[Queue] Could not read queue:", err);
+    queueItems = [];
+  }
+  return queueItems;
+}
+
+function itemLabel(item) {
+  const m = item.metadata || {};
+  const name = (m.recordingType === "group" && m.groupName) ? m.groupName : m.participant;
+  return `${name || "Recording"} · ${m.classEventTitle || "No Class"}`;
+}
+
+function itemFileName(item) {
+  const m = item.metadata || {};
+  const format = UI.getContainerInfo(m.mimeType || item.blob?.type, item.fileName);
+  const safe = itemLabel(item).replace(/[^\w\d-]+/g, "_");
+  return `${safe}_${new Date(item.timestamp || Date.now()).toISOString().slice(0, 10)}.${format.ext}`;
+}
+
+function scheduleNextRetry() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  const due = queueItems
+    .filter(i => i.status === "pending" && i.nextRetryAt)
+    .map(i => i.nextRetryAt);
+  if (!due.length) return;
+
+  const wait = Math.max(1000, Math.min(...due) - Date.now());
+  retryTimer = setTimeout(() => flushOfflineQueue(), wait);
+}
+
+async function uploadItem(item) {
+  item.status = "uploading";
+  await writeItem(item);
+  renderQueuePanel();
+
+  activeKeys.add(item.key);
+  const job = Uploads.trackUpload(itemLabel(item), item.blob?.size || 0);
+
+  try {
+    await saveRecording(item.metadata, item.blob, {
+      fromQueue: true,
+      primary: item.primary || null,
+      onPrimarySaved: async (result) => {
+        item.primary = result;
+        await writeItem(item);
+      },
+      session: item.session || null,
+      onSession: async (session) => {
+        item.session = session;
+        await writeItem(item);
+      },
+      onTask: job.onTask,
+      onProgress: job.onProgress
+    });
+    await deleteItem(item.key); // Firestore has the doc; safe to let go of the blob
+    job.finish("done");
+    return true;
+  } catch (err) {
+    if (err?.code === "storage/canceled") {
+      await deleteItem(item.key); // Teacher canceled on purpose
+      job.finish("canceled");
+      return false;
+    }
+
+    console.error("[Queue] Upload failed:", err);
+    job.finish("error");
+    item.attempts += 1;
+    item.lastError = err?.code || err?.message || "Unknown error";
+    if (isRetryableError(err)) {
+      item.status = "pending";
+      item.nextRetryAt = Date.now() + backoffMs(item.attempts);
+    } else {
+      item.status = "failed"; // Needs a manual retry (e.g. storage full)
+      item.nextRetryAt = null;
+      UI.toast(`Upload failed (${item.lastError}). It's kept in the upload queue.`, "error");
+    }
+    await writeItem(item);
+    return false;
+  } finally {
+    activeKeys.delete(item.key);
+  }
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+/** True when an upload error is about connectivity rather than the data. */
+export function isRetryableError(err) {
+  if (err?.code === "storage/canceled") return false;
+  if (!navigator.onLine) return true;
+  if (RETRYABLE_CODES.has(err?.code)) return true;
+  return /network|offline|failed to fetch/i.test(err?.message || "");
+}
+
+/**
+ * Keeps a recording on this device until it can be uploaded.
+ * primary: the group's primary save result, when only the copies are missing.
+ * session: the resumable upload session, when part of the file is already up.
+ */
+export async function enqueueUpload(blob, metadata, err = null, { primary = null, session = null } = {}) {
+  if (!window.indexedDB) throw err || new Error("NO_INDEXEDDB");
+
+  const db = await UI.openAppDB();
+  await UI.idbRequest(db.transaction(UI.IDB_STORE, "readwrite").objectStore(UI.IDB_STORE).add({
+    blob,
+    metadata,
+    fileName: blob.name || null,
+    uid: UI.currentUser?.uid || null,
+    timestamp: Date.now(),
+    status: "pending",
+    attempts: 0,
+    lastError: err ? (err.code || err.message) : null,
+    nextRetryAt: navigator.onLine ? Date.now() + RETRY_BASE_MS : 0,
+    primary,
+    session
+  }));
+
+  UI.toast("Connection problem — saved on this device and will upload automatically.", "info");
+  await refreshItems();
+  renderQueuePanel();
+  scheduleNextRetry();
+}
+
+/**
+ * Saves a new recording to the cloud in the background.
+ * The blob is stored in the queue first, so a reload or crash mid-upload
+ * picks it up again on next login. Resolves once it is stored; `done`
+ * resolves to true when Firestore has the doc.
+ */
+export async function startUpload(blob, metadata) {
+  if (!window.indexedDB) {
+    const job = Uploads.trackUpload(metadata.participant || "Recording", blob.size);
+    const done = saveRecording(metadata, blob, { onTask: job.onTask, onProgress: job.onProgress })
+      .then(r => { job.finish(r?.queued ? "error" : "done"); return !r?.queued; })
+      .catch(err => {
+        job.finish(err?.code === "storage/canceled" ? "canceled" : "error");
+        if (err?.code !== "storage/canceled") UI.toast(`Upload failed: ${err.message}`, "error");
+        return false;
+      });
+    return { key: null, done };
+  }
+
+  const value = {
+    blob,
+    metadata,
+    fileName: blob.name || null,
+    uid: UI.currentUser?.uid || null,
+    timestamp: Date.now(),
+    status: "uploading",
+    attempts: 0,
+    lastError: null,
+    nextRetryAt: 0
+  };
+  const db = await UI.openAppDB();
+  const key = await UI.idbRequest(db.transaction(UI.IDB_STORE, "readwrite").objectStore(UI.IDB_STORE).add(value));
+  await refreshItems();
+
+  const done = uploadItem(normalizeItem(key, value)).finally(async () => {
+    await refreshItems();
+    renderQueuePanel();
+    scheduleNextRetry();
+  });
+  return { key, done };
+}
+
+/**
+ * Uploads queued items that are due (all of them when force is true).
+ * Called on login, when the browser comes back online and by the retry timer.
+ */
+export async function flushOfflineQueue({ force = false, onlyKey = null } = {}) {
+  if (!window.indexedDB || !UI.currentUser || flushing) return;
+
+  flushing = true;
+  try {
+    await refreshItems();
+
+    const now = Date.now();
+    const due = queueItems.filter(i => {
+      if (activeKeys.has(i.key)) return false;
+      if (onlyKey != null) return i.key === onlyKey;
+      if (providerForVideo(i.metadata).id !== "firebase") return false;
+      // "uploading" here means a previous tab/session died mid-upload
+      if (i.status === "failed") return force;
+      return force || !i.nextRetryAt || i.nextRetryAt <= now;
+    });
+
+    if (!due.length || !navigator.onLine) return;
+
+    UI.toast(`Uploading ${due.length} queued recording(s)...`, "info");
+    let ok = 0;
+    for (const item of due) {
+      if (await uploadItem(item)) ok++;
+    }
+
+    if (ok) UI.toast(`Uploaded ${ok} queued recording(s).`, "success");
+    if (ok < due.length) UI.toast(`${due.length - ok} upload(s) still waiting — see the upload queue.`, "error");
+  } catch (err) {
+    console.error("[Queue] Flush failed:", err);
+  } finally {
+    flushing = false;
+    await refreshItems();
+    renderQueuePanel();
+    scheduleNextRetry();
+  }
+}
+
+export async function openQueueManager() {
+  await refreshItems();
+  renderQueuePanel();
+  UI.$("#upload-queue-screen")?.showModal();
+}
+
+export function closeQueueManager() {
+  UI.$("#upload-queue-screen")?.close();
+}
+
+export function retryAllQueued() {
+  return flushOfflineQueue({ force: true });
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+export function renderQueuePanel() {
+  const badge = UI.$("#upload-queue-btn");
+  if (badge) {
+    // Uploads running in this tab show in the uploads panel instead
+    const waiting = queueItems.filter(i => !activeKeys.has(i.key));
+    const failed = waiting.some(i => i.status === "failed");
+    badge.classList.toggle("hidden", waiting.length === 0);
+    badge.textContent = `☁ ${waiting.length} queued`;
+    badge.classList.toggle("text-red-300", failed);
+  }
+
+  const list = UI.$("#upload-queue-list");
+  if (!list) return;
+
+  if (!queueItems.length) {
+    list.innerHTML = `<p class="text-sm text-gray-400 text-center py-6">Nothing waiting to upload.</p>`;
+    return;
+  }
+
+  list.innerHTML = "";
+  queueItems.forEach(item => {
+    const sizeMB = ((item.blob?.size || 0) / 1024 / 1024).toFixed(1);
+    const statusText = item.status === "uploading" ? "Uploading..."
+      : item.status === "failed" ? "Needs attention"
+      : item.nextRetryAt > Date.now() ? `Retry at ${new Date(item.nextRetryAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`
+      : "Waiting for connection";
+    const statusClass = item.status === "failed" ? "text-red-300" : item.status === "uploading" ? "text-primary-300" : "text-amber-300";
+
+    const row = document.createElement("div");
+    row.className = "flex items-center gap-3 p-3 rounded-lg bg-black/20 border border-white/10";
+    row.innerHTML = `
+      <div class="flex-1 min-w-0">
+        <div class="text-sm font-semibold text-white truncate">${UI.escapeHtml(itemLabel(item))}</div>
+        <div class="text-[11px] text-gray-400">
+          ${new Date(item.timestamp || Date.now()).toLocaleString()} · ${sizeMB} MB · ${item.attempts} attempt${item.attempts === 1 ? "" : "s"}
+        </div>
+        <div class="text-[11px] ${statusClass}">${statusText}${item.lastError ? ` — ${UI.escapeHtml(item.lastError)}` : ""}</div>
+      </div>
+      <button type="button" class="queue-retry px-2 py-1 rounded bg-[#0033A0] hover:bg-[#004db3] text-xs text-white disabled:opacity-50" ${item.status === "uploading" ? "disabled" : ""}>Retry</button>
+      <button type="button" class="queue-download px-2 py-1 rounded bg-white/10 hover:bg-white/20 text-xs text-gray-200">Download</button>
+      <button type="button" class="queue-discard px-2 py-1 rounded bg-white/5 hover:bg-red-500/30 text-xs text-gray-300 disabled:opacity-50" ${item.status === "uploading" ? "disabled" : ""}>Discard</button>
+    `;
+
+    row.querySelector(".queue-retry").onclick = () => {
+      if (!navigator.onLine) {
+        UI.toast("You're offline. It will upload when the connection returns.", "error");
+        return;
+      }
+      flushOfflineQueue({ onlyKey: item.key });
+    };
+
+    row.querySelector(".queue-download").onclick = () => {
+      if (item.blob) UI.saveToLocalDevice(item.blob, itemFileName(item));
+    };
+
+    row.querySelector(".queue-discard").onclick = async () => {
+      if (!await UI.showConfirm(
+        `Discard <strong>${UI.escapeHtml(itemLabel(item))}</strong>? It has not been uploaded, so the recording will be lost unless you downloaded it.`,
+        "Discard Recording",
+        "Discard"
+      )) return;
+      await deleteItem(item.key);
+      await refreshItems();
+      renderQueuePanel();
+      scheduleNextRetry();
+    };
+
+    list.appendChild(row);
+  });
+}
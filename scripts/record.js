@@ -3,7 +3,7 @@
 /* ========================================================================== */
 
 import * as UI from "./ui.js";
-import { uploadFile, saveRecording, saveLocalData, loadLibrary, updateVideo, addPlaybackMarker } from "./firestore.js";
+import { uploadFile, loadLibrary, updateVideo, addPlaybackMarker } from "./firestore.js";
 import {
   doc,
   addDoc,
@@ -13,11 +13,14 @@ import {
   collection    // ✅ ADDED THIS
 } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 import * as Rubrics from "./rubrics.js"; 
+import * as Tags from "./tags.js";
+import { detectBoundaries } from "./boundaries.js";
+import { getProvider, storageErrorMessage } from "./storage.js";
 
 // ✅ LOCAL STATE
 let currentTags = [];
 let importedVideoDuration = 0;
-let liveScores = [];                  // Timeline scoring
+let liveScores = [];                  // Timeline scoring: [{ time, rowId, oldValue, newValue, source, at }]
 const latestRowScores = new Map();    // rowId → score
 let currentLibraryVideoId = null;     // Editing context
 let previewLock = false;              // Camera toggle lock
@@ -33,16 +36,42 @@ function setImportButtonEnabled(enabled) {
 
     if (tooltip) {
         tooltip.textContent = enabled
-            ? "Choose a video file to import"
+            ? "Choose a video file to import (pick several for a batch)"
             : "Stop preview or recording to import a video";
     }
 
     btn.title = "";
+
+    const batchBtn = UI.$("#batch-import-btn");
+    if (batchBtn) batchBtn.disabled = !enabled;
 }
 
 // 🔒 TEMP CLASS TRACKER (prevents ghost classes on cancel)
 let pendingNewClassId = null;
 
+// 💾 CRASH-SAFE SESSION TRACKERS
+let activeSessionId = null;           // IndexedDB session of the running recording
+let recoveredSessionId = null;        // Orphaned session currently in the metadata screen
+
+// 🎙️ AUDIO METER STATE
+let audioMeter = null;                // { ctx, analyser, data, interval, lastTick }
+let silentRunSeconds = 0;             // Current continuous silence (preview + recording)
+let recordingSilentSeconds = 0;       // Total silence while actually recording
+let lastClipToastAt = 0;
+
+// ⏯️ MEDIA TIMELINE (performance.now() segments between pause/resume)
+let recordingSegments = [];           // [{ start, end }] in performance.now() ms
+let recordingStartPerf = 0;
+
+// ✂️ TRIM (metadata screen; seconds into the media)
+let trimRange = { start: 0, end: 0, duration: 0 };
+let trimPreviewUrl = null;
+let trimProposals = [];   // Handover suggestions for the unsaved recording
+let trimAnalysing = false;
+
+// 📈 SCORE REPLAY (playback)
+let scoreReplayCleanup = null;
+
 
 /* ========================================================================== */
 /* LIBRARY CONTEXT & SAVE HANDLER
@@ -95,6 +124,7 @@ document.addEventListener("click", async (e) => {
               lastScore: totalScore,
               rubricId: rubric?.id || null, 
               rubricTitle: rubric?.title || null,
+              scoreHistory: liveScores,
               lastScoredAt: serverTimestamp()
        });
           
@@ -192,6 +222,125 @@ if (!document.getElementById(styleId)) {
     document.head.appendChild(style);
 }
 
+/* -------------------------------------------------------------------------- */
+/* 📈 SCORING HISTORY ("score as they speak")
+/* Each score change is logged with its media time so playback can replay how
+/* the score evolved and jump to the moment each row was decided.
+/* -------------------------------------------------------------------------- */
+const SCORE_BTN_IDLE = "live-score-btn w-8 h-8 text-xs rounded border border-transparent bg-white/10 text-gray-300 hover:bg-white/20 transition-all";
+const SCORE_BTN_ACTIVE = "live-score-btn w-8 h-8 text-xs rounded border border-primary-400 bg-[#0033A0] text-white scale-110 transition-all shadow-md";
+
+function highlightScoreButton(rowEl, val) {
+  rowEl.querySelectorAll(".live-score-btn").forEach(b => {
+    b.className = Number(b.dataset.score) === val ? SCORE_BTN_ACTIVE : SCORE_BTN_IDLE;
+  });
+}
+
+function logScoreChange(context, rowId, oldValue, newValue) {
+  if (oldValue === newValue) return;
+
+  let time = null;
+  if (context === "live") {
+    // Only timestamp while the recorder is running (pre-roll has no media time)
+    if (!UI.mediaRecorder || UI.mediaRecorder.state === "inactive") return;
+    time = getMediaPosition();
+  } else if (context === "playback") {
+    time = UI.$("#main-player")?.currentTime ?? null;
+  } else {
+    return;
+  }
+
+  liveScores.push({
+    time: time == null ? null : Math.round(time * 1000) / 1000,
+    rowId,
+    oldValue,
+    newValue,
+    source: context === "live" ? "live" : "review",
+    at: new Date().toISOString()
+  });
+
+  if (context === "playback") renderScoreHistoryForRow(rowId);
+}
+
+// Playback: chips under a row ("2 → 3 @ 1:23"); the last one is the decision
+function renderScoreHistoryForRow(rowId) {
+  const el = document.querySelector(`[data-history-row-id="${rowId}"]`);
+  if (!el) return;
+
+  const entries = liveScores
+    .filter(h => h.rowId === rowId && h.time != null)
+    .sort((a, b) => a.time - b.time);
+
+  el.innerHTML = "";
+  entries.forEach((h, i) => {
+    const decided = i === entries.length - 1;
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.title = decided ? "Jump to when this row was decided" : "Jump to this score change";
+    chip.className = `px-1.5 py-0.5 rounded text-[10px] font-mono border transition-colors ${decided
+      ? "bg-green-500/10 border-green-500/30 text-green-300 hover:bg-green-500/20"
+      : "bg-white/5 border-white/10 text-gray-400 hover:bg-white/10"}`;
+    chip.textContent = `${h.oldValue ?? "–"} → ${h.newValue} @ ${UI.formatDuration(h.time)}${decided ? " ✓" : ""}`;
+    chip.onclick = () => {
+      const video = UI.$("#main-player");
+      if (!video) return;
+      video.currentTime = h.time;
+      video.play().catch(() => {});
+    };
+    el.appendChild(chip);
+  });
+}
+
+// Score for a row as it stood at media time t
+function scoreAtTime(rowId, t) {
+  const entries = liveScores
+    .filter(h => h.rowId === rowId && h.time != null)
+    .sort((a, b) => a.time - b.time);
+  if (entries.length === 0) return latestRowScores.get(rowId) ?? null;
+
+  let value = entries[0].oldValue ?? null;
+  entries.forEach(h => { if (h.time <= t) value = h.newValue; });
+  return value;
+}
+
+function startScoreReplay(rowsContainer, totalEl) {
+  const video = UI.$("#main-player");
+  if (!video) return;
+
+  const apply = () => {
+    let sum = 0;
+    rowsContainer.querySelectorAll(".live-score-row").forEach(rowEl => {
+      const rowId = rowEl.querySelector("[data-row-id]")?.dataset.rowId;
+      if (!rowId) return;
+      const val = scoreAtTime(rowId, video.currentTime);
+      highlightScoreButton(rowEl, val);
+      sum += Number(val) || 0;
+    });
+    if (totalEl) totalEl.textContent = sum;
+  };
+
+  video.addEventListener("timeupdate", apply);
+  video.addEventListener("seeked", apply);
+  apply();
+
+  scoreReplayCleanup = () => {
+    video.removeEventListener("timeupdate", apply);
+    video.removeEventListener("seeked", apply);
+    scoreReplayCleanup = null;
+
+    // Back to the current (editable) scores
+    let sum = 0;
+    rowsContainer.querySelectorAll(".live-score-row").forEach(rowEl => {
+      const rowId = rowEl.querySelector("[data-row-id]")?.dataset.rowId;
+      if (!rowId) return;
+      const val = latestRowScores.has(rowId) ? latestRowScores.get(rowId) : null;
+      highlightScoreButton(rowEl, val);
+      sum += Number(val) || 0;
+    });
+    if (totalEl) totalEl.textContent = sum;
+  };
+}
+
 export function renderLiveScoringFromRubric(input = {}, context = "live", options = {}) {
   const prefix = context;
   const rowsContainer = options.container || UI.$(`#${prefix}-scoring-rows`);
@@ -208,6 +357,12 @@ export function renderLiveScoringFromRubric(input = {}, context = "live", option
   setTimeout(() => { if (rowsContainer) rowsContainer.scrollTop = 0; }, 150);
 
   rowsContainer.innerHTML = "";
+
+  // 📈 Playback starts from the saved history; new review changes append to it
+  if (context === "playback") {
+      if (scoreReplayCleanup) scoreReplayCleanup();
+      liveScores = Array.isArray(input.scoreHistory) ? [...input.scoreHistory] : [];
+  }
  // ---------------------------------------------------------
 // ✅ NEW: RENDER PLAYBACK MARKERS (Review Mode + Edit)
 // ---------------------------------------------------------
@@ -222,6 +377,10 @@ if (context === "playback") {
     // State for Edit Mode
     let isEditing = false;
 
+    // 🔍 Suggested boundaries (not saved until accepted)
+    let proposals = [];
+    let isAnalysing = false;
+
     // --- HELPER: Save Changes to Firestore ---
     const saveMarkerChanges = async () => {
         try {
@@ -244,6 +403,12 @@ if (context === "playback") {
                   Timeline Markers
               </div>
               <div class="flex gap-2">
+                  <button id="download-chapters-btn" title="Download chapters (.vtt) and a marker list (.csv)" class="text-xs px-2 py-1 rounded text-indigo-300 hover:bg-white/5 border border-transparent transition-colors disabled:opacity-50" ${tags.length ? '' : 'disabled'}>
+                     ⬇ Chapters
+                  </button>
+                  <button id="suggest-markers-btn" title="Find long pauses and speaker changes" class="text-xs px-2 py-1 rounded text-amber-300 hover:bg-white/5 border border-transparent transition-colors disabled:opacity-50" ${isEditing || isAnalysing ? 'disabled' : ''}>
+                     ${isAnalysing ? 'Analysing…' : '🔍 Suggest'}
+                  </button>
                   <button id="toggle-edit-btn" class="text-xs px-2 py-1 rounded transition-colors border ${isEditing ? 'bg-red-900/50 text-red-200 border-red-500/50' : 'text-indigo-300 hover:bg-white/5 border-transparent'}">
                      ${isEditing ? 'Done' : '✎ Edit'}
                   </button>
@@ -253,6 +418,13 @@ if (context === "playback") {
               </div>
           </div>
           <div class="flex flex-wrap gap-2" id="playback-marker-list"></div>
+          <div id="marker-suggestions" class="${proposals.length ? '' : 'hidden'} mt-3 pt-3 border-t border-dashed border-amber-500/30">
+              <div class="flex items-center justify-between mb-2">
+                  <span class="text-[10px] font-bold text-amber-300 uppercase tracking-wider">Suggested (${proposals.length})</span>
+                  <button id="dismiss-all-suggestions-btn" class="text-[10px] text-gray-400 hover:text-white">Dismiss all</button>
+              </div>
+              <div class="flex flex-wrap gap-2" id="marker-suggestion-list"></div>
+          </div>
         `;
 
         const list = markerContainer.querySelector("#playback-marker-list");
@@ -306,6 +478,11 @@ if (context === "playback") {
                 } else {
                     // NORMAL MODE (Jump)
                     btn.className = "flex items-center gap-2 px-3 py-1.5 bg-indigo-600 hover:bg-indigo-500 text-white text-xs rounded transition-colors border border-indigo-400/50";
+                    // 🎨 Category colour (falls back to the indigo default)
+                    if (tag.color) {
+                        btn.style.backgroundColor = tag.color;
+                        btn.style.borderColor = "rgba(255,255,255,0.25)";
+                    }
                     btn.innerHTML = `<span class="font-mono opacity-75 border-r border-white/20 pr-2 mr-[-4px]">${mins}:${secs}</span> ${tag.note || "Marker"}`;
                     
                     btn.onclick = () => {
@@ -321,6 +498,87 @@ if (context === "playback") {
             });
         }
 
+        // C2. Suggestions: accept → real marker, dismiss → gone
+        const suggestionList = markerContainer.querySelector("#marker-suggestion-list");
+        proposals.forEach((p, i) => {
+            const chip = document.createElement("div");
+            chip.className = "flex items-center gap-1 pl-2 pr-1 py-1 rounded border border-dashed border-amber-400/50 text-amber-200 text-xs";
+            chip.innerHTML = `
+                <button class="suggestion-jump font-mono opacity-80 hover:opacity-100" title="Jump">${UI.formatDuration(p.time)}</button>
+                <span>${p.kind === "pause" ? "⏸" : "🔊"} ${p.label}</span>
+                <button class="suggestion-accept ml-1 w-5 h-5 rounded bg-green-600/70 hover:bg-green-500 text-white" title="Accept as marker">✓</button>
+                <button class="suggestion-dismiss w-5 h-5 rounded bg-white/10 hover:bg-white/20 text-gray-300" title="Dismiss">✕</button>
+            `;
+            chip.querySelector(".suggestion-jump").onclick = () => {
+                const video = document.getElementById("main-player");
+                if (video) video.currentTime = p.time;
+            };
+            chip.querySelector(".suggestion-accept").onclick = async () => {
+                proposals.splice(i, 1);
+                tags.push({ ...Tags.buildTag(p.time, null, p.label), type: "suggested" });
+                renderUI();
+                await saveMarkerChanges();
+            };
+            chip.querySelector(".suggestion-dismiss").onclick = () => {
+                proposals.splice(i, 1);
+                renderUI();
+            };
+            suggestionList.appendChild(chip);
+        });
+
+        const dismissAllBtn = markerContainer.querySelector("#dismiss-all-suggestions-btn");
+        dismissAllBtn.onclick = () => {
+            proposals = [];
+            renderUI();
+        };
+
+        // C3. Chapters + CSV for students who download the video
+        markerContainer.querySelector("#download-chapters-btn").onclick = () => {
+            const video = { ...(input.video || {}), tags };
+            const vtt = Tags.buildChaptersVtt(tags, {
+                start: input.trimStart || 0,
+                end: input.trimEnd ?? (input.duration || null)
+            });
+            const csv = Tags.buildMarkerCsv([video]);
+            if (!vtt && !csv) {
+                UI.toast("No markers inside this video's range.", "info");
+                return;
+            }
+
+            const base = Tags.markerFileBase(video);
+            if (vtt) UI.downloadTextFile(vtt, `${base}_chapters.vtt`, "text/vtt");
+            if (csv) UI.downloadTextFile(csv, `${base}_markers.csv`, "text/csv");
+        };
+
+        markerContainer.querySelector("#suggest-markers-btn").onclick = async () => {
+            const video = document.getElementById("main-player");
+            const src = video?.currentSrc || video?.src;
+            if (!src) return;
+
+            isAnalysing = true;
+            renderUI();
+            UI.toast("Analysing audio… this can take a moment for long videos.", "info");
+
+            try {
+                proposals = await detectBoundaries(src, {
+                    start: input.trimStart || 0,
+                    end: input.trimEnd ?? null,
+                    existingTimes: tags.map(t => t.time)
+                });
+                UI.toast(proposals.length
+                    ? `Found ${proposals.length} possible handover point(s).`
+                    : "No clear pauses or speaker changes found.", proposals.length ? "success" : "info");
+            } catch (err) {
+                console.error("[Boundaries] Analysis failed:", err);
+                UI.toast(err.message === "TOO_LARGE"
+                    ? "This video is too large to analyse in the browser. Split it or add markers by hand."
+                    : "Couldn't analyse this video's audio.", "error");
+            } finally {
+                isAnalysing = false;
+                renderUI();
+            }
+        };
+
         // D. Handle "Add Marker" (Only active when NOT editing)
         if (!isEditing) {
             addBtn.onclick = async () => {
@@ -328,10 +586,11 @@ if (context === "playback") {
                 if (!video) return;
                 video.pause();
                 const time = video.currentTime;
-                const note = prompt("Label this moment (e.g., 'Great Question'):");
+                const note = prompt("Label this moment (e.g., 'Great Question'), or type a preset number 1–9:");
 
                 if (note) {
-                    tags.push({ time, note, type: "review" });
+                    const preset = /^[1-9]$/.test(note.trim()) ? Tags.getPresetByHotkey(note.trim()) : null;
+                    tags.push({ ...Tags.buildTag(time, preset, preset ? null : note), type: "review" });
                     renderUI(); // Show immediately
                     await saveMarkerChanges();
                 }
@@ -339,7 +598,7 @@ if (context === "playback") {
         }
         // NEW (Add a log)
         console.log("🔍 FULL INPUT OBJECT:", input);
-        renderTimelinePins(tags, input.duration);
+        renderTimelinePins(tags, input.duration, { start: input.trimStart, end: input.trimEnd }, proposals);
     };
 
     // Initial Render
@@ -360,6 +619,27 @@ if (context === "playback") {
 
   if(titleEl) titleEl.textContent = rubric.title;
 
+  // 📈 Replay toggle (only when there's timestamped history to replay)
+  if (context === "playback" && !options.readOnly && liveScores.some(h => h.time != null)) {
+      const replayBar = document.createElement("div");
+      replayBar.className = "mb-4 flex items-center justify-between p-2 rounded-lg bg-white/5 border border-white/10";
+      replayBar.innerHTML = `
+        <span class="text-xs text-gray-400">Score timeline: ${liveScores.filter(h => h.time != null).length} change(s)</span>
+        <button type="button" class="score-replay-btn text-xs px-2 py-1 rounded bg-white/10 hover:bg-white/20 text-white">▶ Replay scoring</button>
+      `;
+      const replayBtn = replayBar.querySelector(".score-replay-btn");
+      replayBtn.onclick = () => {
+          if (scoreReplayCleanup) {
+              scoreReplayCleanup();
+              replayBtn.textContent = "▶ Replay scoring";
+          } else {
+              startScoreReplay(rowsContainer, totalEl);
+              replayBtn.textContent = "■ Stop replay";
+          }
+      };
+      rowsContainer.appendChild(replayBar);
+  }
+
   rubric.rows.forEach((row, index) => {
       let savedScore = existingScores[row.id];
       let savedNote = existingNotes[row.id] || "";
@@ -428,6 +708,9 @@ if (context === "playback") {
 
           btns += `</div>`;
           btns += `<textarea class="w-full bg-black/20 border border-white/10 rounded p-2 text-xs text-gray-300 focus:border-primary-500 resize-none h-16" placeholder="Add note..." data-note-row-id="${row.id}">${savedNote}</textarea>`;
+          if (context === "playback") {
+              btns += `<div class="flex flex-wrap gap-1 mt-1" data-history-row-id="${row.id}"></div>`;
+          }
           rowEl.innerHTML += btns;
       }
       rowsContainer.appendChild(rowEl);
@@ -469,13 +752,20 @@ rowEl.querySelectorAll(".score-btn-wrapper").forEach(wrapper => {
               const rowId = btn.dataset.rowId;
               const val = Number(btn.dataset.score);
               
+              // Replaying history is read-only; stop it before editing
+              if (scoreReplayCleanup) {
+                  scoreReplayCleanup();
+                  const replayBtn = rowsContainer.querySelector(".score-replay-btn");
+                  if (replayBtn) replayBtn.textContent = "▶ Replay scoring";
+              }
+
               // Visual update
-              const parent = btn.closest(".live-score-row");
-              parent.querySelectorAll(".live-score-btn").forEach(b => b.className = "live-score-btn w-8 h-8 text-xs rounded border border-transparent bg-white/10 text-gray-300 hover:bg-white/20 transition-all");
-              btn.className = "live-score-btn w-8 h-8 text-xs rounded border border-primary-400 bg-[#0033A0] text-white scale-110 transition-all shadow-md";
+              highlightScoreButton(btn.closest(".live-score-row"), val);
 
               // Logic update
+              const oldVal = latestRowScores.has(rowId) ? latestRowScores.get(rowId) : null;
               latestRowScores.set(rowId, val);
+              logScoreChange(context, rowId, oldVal, val);
               let sum = 0; latestRowScores.forEach(v => sum += v);
               if(totalEl) {
                   totalEl.textContent = sum;
@@ -486,7 +776,622 @@ rowEl.querySelectorAll(".score-btn-wrapper").forEach(wrapper => {
       });
   }
   if (totalEl) totalEl.textContent = initialTotal;
+
+  if (context === "playback") {
+      rubric.rows.forEach(row => renderScoreHistoryForRow(row.id));
+  }
 }
+/* ========================================================================== */
+/* CRASH-SAFE RECORDING (IndexedDB chunk journal)
+/* Every MediaRecorder chunk is written to IndexedDB as it arrives, so a crash,
+/* sleep or closed lid leaves a session we can rebuild on the next startup.
+/* ========================================================================== */
+
+async function beginRecordingSession(mimeType) {
+  activeSessionId = null;
+  try {
+    const db = await UI.openAppDB();
+    const session = {
+      id: `rec_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      uid: UI.currentUser?.uid || null,
+      mimeType,
+      startedAt: Date.now(),
+      updatedAt: Date.now(),
+      seconds: 0,
+      chunkCount: 0,
+      totalBytes: 0,
+      tags: []
+    };
+    await UI.idbRequest(db.transaction(UI.IDB_SESSION_STORE, "readwrite").objectStore(UI.IDB_SESSION_STORE).add(session));
+    activeSessionId = session.id;
+  } catch (err) {
+    // Recording still works in memory; we just lose crash protection.
+    console.warn("[Record] Crash-safe journal unavailable:", err);
+  }
+}
+
+async function persistChunk(sessionId, blob) {
+  if (!sessionId) return;
+  try {
+    const db = await UI.openAppDB();
+    const tx = db.transaction([UI.IDB_SESSION_STORE, UI.IDB_CHUNK_STORE], "readwrite");
+    const sessions = tx.objectStore(UI.IDB_SESSION_STORE);
+    const session = await UI.idbRequest(sessions.get(sessionId));
+    if (!session) return; // Already cleared (discard/save raced the last chunk)
+
+    tx.objectStore(UI.IDB_CHUNK_STORE).add({ sessionId, seq: session.chunkCount, blob });
+    sessions.put({
+      ...session,
+      chunkCount: session.chunkCount + 1,
+      totalBytes: session.totalBytes + blob.size,
+      seconds: UI.secondsElapsed,
+      tags: [...currentTags],
+      updatedAt: Date.now()
+    });
+  } catch (err) {
+    console.warn("[Record] Failed to persist chunk:", err);
+    if (err?.name === "QuotaExceededError") {
+      UI.toast("Device storage full — crash protection paused.", "warn");
+      activeSessionId = null;
+    }
+  }
+}
+
+async function clearRecordingSession(sessionId) {
+  if (!sessionId) return;
+  try {
+    const db = await UI.openAppDB();
+    const tx = db.transaction([UI.IDB_SESSION_STORE, UI.IDB_CHUNK_STORE], "readwrite");
+    tx.objectStore(UI.IDB_SESSION_STORE).delete(sessionId);
+
+    const chunks = tx.objectStore(UI.IDB_CHUNK_STORE);
+    const keys = await UI.idbRequest(chunks.index("sessionId").getAllKeys(sessionId));
+    keys.forEach(k => chunks.delete(k));
+  } catch (err) {
+    console.warn("[Record] Failed to clear recording session:", err);
+  }
+}
+
+// Called once the recording has been saved or deliberately thrown away.
+function releaseRecordingSessions() {
+  clearRecordingSession(activeSessionId);
+  clearRecordingSession(recoveredSessionId);
+  activeSessionId = null;
+  recoveredSessionId = null;
+}
+
+async function rebuildSessionBlob(session) {
+  const db = await UI.openAppDB();
+  const tx = db.transaction(UI.IDB_CHUNK_STORE, "readonly");
+  const chunks = await UI.idbRequest(tx.objectStore(UI.IDB_CHUNK_STORE).index("sessionId").getAll(session.id));
+  chunks.sort((a, b) => a.seq - b.seq);
+  return new Blob(chunks.map(c => c.blob), { type: session.mimeType || chunks[0]?.blob?.type || "video/webm" });
+}
+
+/**
+ * Looks for recording sessions that never reached the metadata screen
+ * (tab crash, sleep, reload) and offers to rebuild them.
+ * Call after login, once classes are loaded.
+ */
+export async function recoverOrphanedRecordings() {
+  if (!window.indexedDB || !UI.currentUser) return;
+
+  // Never interrupt a recording or a pending save in this tab
+  if (activeSessionId || recoveredSessionId || UI.currentRecordingBlob) return;
+  if (UI.mediaRecorder && UI.mediaRecorder.state !== "inactive") return;
+
+  let sessions = [];
+  try {
+    const db = await UI.openAppDB();
+    sessions = await UI.idbRequest(db.transaction(UI.IDB_SESSION_STORE, "readonly").objectStore(UI.IDB_SESSION_STORE).getAll());
+  } catch (err) {
+    console.warn("[Record] Could not read recording sessions:", err);
+    return;
+  }
+
+  const orphans = sessions
+    .filter(s => !s.uid || s.uid === UI.currentUser.uid)
+    .filter(s => Date.now() - (s.updatedAt || 0) > 5000) // Still live in another tab
+    .sort((a, b) => b.startedAt - a.startedAt);
+
+  for (const session of orphans) {
+    if (!session.chunkCount) {
+      await clearRecordingSession(session.id);
+      continue;
+    }
+
+    const when = new Date(session.startedAt).toLocaleString();
+    const sizeMB = (session.totalBytes / 1024 / 1024).toFixed(1);
+
+    const recover = await UI.showConfirm(
+      `A recording from <strong>${when}</strong> (${UI.formatDuration(session.seconds || 0)}, ${sizeMB} MB) was interrupted before it was saved.<br><br>Recover it now?`,
+      "Recover Recording?",
+      "Recover"
+    );
+
+    if (!recover) {
+      const discard = await UI.showConfirm(
+        "Delete the interrupted recording permanently?<br><span class='text-xs text-gray-400'>Cancel keeps it for next time.</span>",
+        "Discard Recording?",
+        "Delete"
+      );
+      if (discard) await clearRecordingSession(session.id);
+      continue;
+    }
+
+    try {
+      const blob = await rebuildSessionBlob(session);
+      if (!blob.size) throw new Error("NO_BLOB");
+
+      resetScoringStateForNewVideo();
+      currentTags = Array.isArray(session.tags) ? [...session.tags] : [];
+      importedVideoDuration = session.seconds || 0;
+      recoveredSessionId = session.id;
+
+      UI.setCurrentRecordingBlob(blob);
+      UI.toast("Recording recovered.", "success");
+      await openMetadataScreen();
+    } catch (err) {
+      console.error("[Record] Recovery failed:", err);
+      UI.toast("Could not rebuild that recording.", "error");
+    }
+    return; // One recovery at a time; the rest are offered next startup
+  }
+}
+
+/* ========================================================================== */
+/* DEVICE PICKER (camera + microphone, remembered per user and browser)
+/* ========================================================================== */
+
+function devicePrefsKey() {
+  return `${UI.LS.DEVICES}/${UI.currentUser?.uid || "anon"}`;
+}
+
+function loadDevicePrefs() {
+  try {
+    return JSON.parse(localStorage.getItem(devicePrefsKey())) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveDevicePrefs(prefs) {
+  localStorage.setItem(devicePrefsKey(), JSON.stringify(prefs));
+}
+
+async function listInputDevices() {
+  const all = await navigator.mediaDevices.enumerateDevices();
+  return {
+    video: all.filter(d => d.kind === "videoinput"),
+    audio: all.filter(d => d.kind === "audioinput")
+  };
+}
+
+// Device ids can change (e.g. cleared site data), so fall back to the label
+function resolveDevice(devices, id, label) {
+  if (!id) return null;
+  return devices.find(d => d.deviceId === id) ||
+         (label && devices.find(d => d.label === label)) ||
+         null;
+}
+
+// Resolution/frame-rate targets from the selected quality preset
+function qualityVideoConstraints() {
+  const preset = UI.getQualityPreset();
+  return {
+    width: { ideal: preset.width },
+    height: { ideal: preset.height },
+    frameRate: { ideal: preset.frameRate }
+  };
+}
+
+function defaultVideoConstraints() {
+  return UI.currentFacingMode
+    ? { facingMode: UI.currentFacingMode, ...qualityVideoConstraints() }
+    : qualityVideoConstraints();
+}
+
+async function getCaptureConstraints() {
+  const prefs = loadDevicePrefs();
+  let devices = { video: [], audio: [] };
+  try { devices = await listInputDevices(); } catch { /* Older browsers */ }
+
+  // Before the first permission grant, ids are blank; trust the saved ids
+  // and let getUserMedia tell us if they're gone.
+  const permitted = [...devices.video, ...devices.audio].some(d => d.deviceId);
+  const cam = permitted ? resolveDevice(devices.video, prefs.videoId, prefs.videoLabel) : (prefs.videoId ? { deviceId: prefs.videoId } : null);
+  const mic = permitted ? resolveDevice(devices.audio, prefs.audioId, prefs.audioLabel) : (prefs.audioId ? { deviceId: prefs.audioId } : null);
+
+  const missing = [];
+  if (prefs.videoId && !cam) missing.push(prefs.videoLabel || "camera");
+  if (prefs.audioId && !mic) missing.push(prefs.audioLabel || "microphone");
+  if (missing.length) UI.toast(`${missing.join(" & ")} not found — using default.`, "warn");
+
+  return {
+    video: cam ? { deviceId: { exact: cam.deviceId }, ...qualityVideoConstraints() } : defaultVideoConstraints(),
+    audio: mic ? { deviceId: { exact: mic.deviceId } } : true
+  };
+}
+
+async function openCameraStream() {
+  const constraints = await getCaptureConstraints();
+  try {
+    return await navigator.mediaDevices.getUserMedia(constraints);
+  } catch (err) {
+    const pinned = constraints.video?.deviceId || constraints.audio?.deviceId;
+    const unplugged = ["OverconstrainedError", "NotFoundError", "NotReadableError"].includes(err.name);
+    if (!pinned || !unplugged) throw err;
+
+    console.warn("[Record] Saved device unavailable, falling back:", err);
+    UI.toast("Saved camera or microphone unavailable — using default.", "warn");
+    return navigator.mediaDevices.getUserMedia({ audio: true, video: defaultVideoConstraints() });
+  }
+}
+
+function fillDeviceSelect(select, devices, activeId, defaultLabel) {
+  if (!select) return;
+  select.innerHTML = "";
+
+  const def = document.createElement("option");
+  def.value = "";
+  def.textContent = defaultLabel;
+  select.appendChild(def);
+
+  devices.forEach((d, i) => {
+    if (!d.deviceId) return;
+    const opt = document.createElement("option");
+    opt.value = d.deviceId;
+    opt.textContent = d.label || `${defaultLabel.replace("Default ", "")} ${i + 1}`;
+    select.appendChild(opt);
+  });
+
+  select.value = devices.some(d => d.deviceId === activeId) ? activeId : "";
+}
+
+async function refreshDeviceSelects(stream = compositeSession?.camera || UI.mediaStream) {
+  if (!navigator.mediaDevices?.enumerateDevices) return;
+  try {
+    const devices = await listInputDevices();
+    const prefs = loadDevicePrefs();
+    const activeVideo = stream?.getVideoTracks()[0]?.getSettings().deviceId || prefs.videoId;
+    const activeAudio = stream?.getAudioTracks()[0]?.getSettings().deviceId || prefs.audioId;
+
+    fillDeviceSelect(UI.$("#camera-device-select"), devices.video, prefs.videoId ? activeVideo : "", "Default Camera");
+    fillDeviceSelect(UI.$("#mic-device-select"), devices.audio, prefs.audioId ? activeAudio : "", "Default Microphone");
+  } catch (err) {
+    console.warn("[Record] Could not list devices:", err);
+  }
+}
+
+function isRecordingActive() {
+  return !!UI.mediaRecorder && UI.mediaRecorder.state !== "inactive";
+}
+
+function isPreviewRunning() {
+  const previewScreen = UI.$("#preview-screen");
+  return !!UI.mediaStream && !!previewScreen && !previewScreen.classList.contains("hidden");
+}
+
+// Re-opens the preview after a settings change. Screen capture can only be
+// requested from a click, so in screen mode the teacher restarts it instead.
+async function restartPreviewForSettings(screenHint) {
+  if (!isPreviewRunning() || isRecordingActive()) return;
+  if (UI.recordMode === "screen") {
+    UI.toast(screenHint, "info");
+    return;
+  }
+  await startPreviewSafely();
+}
+
+/**
+ * Select change handler. kind: "video" | "audio".
+ * An empty deviceId means "use the browser default".
+ */
+export async function handleDeviceSelect(kind, deviceId, label = "") {
+  const prefs = loadDevicePrefs();
+  if (deviceId) {
+    prefs[`${kind}Id`] = deviceId;
+    prefs[`${kind}Label`] = label;
+  } else {
+    delete prefs[`${kind}Id`];
+    delete prefs[`${kind}Label`];
+  }
+  saveDevicePrefs(prefs);
+
+  // Live preview while switching
+  await restartPreviewForSettings("Stop and restart the preview to use the new device.");
+}
+
+// Fired when a device is plugged in or pulled out
+export async function handleDeviceListChange() {
+  const stream = compositeSession?.camera || UI.mediaStream;
+  const lost = !!stream && stream.getTracks().some(t => t.readyState === "ended");
+
+  await refreshDeviceSelects();
+  if (!lost) return;
+
+  if (isRecordingActive()) {
+    UI.toast("Camera or microphone disconnected!", "error");
+  } else if (isPreviewRunning()) {
+    UI.toast("Device disconnected — switching to default.", "warn");
+    await restartPreviewForSettings("Stop and restart the preview to switch to the default device.");
+  }
+}
+
+/* ========================================================================== */
+/* AUDIO LEVEL METER (silence + clipping warnings)
+/* ========================================================================== */
+
+const SILENCE_RMS = 0.01;          // ≈ -40 dBFS
+const SILENCE_WARN_SECONDS = 10;
+const CLIP_PEAK = 0.99;
+const CLIP_TOAST_COOLDOWN_MS = 10000;
+const METER_INTERVAL_MS = 100;
+
+function startAudioMeter(stream) {
+  stopAudioMeter();
+  const tracks = stream?.getAudioTracks() || [];
+  if (!tracks.length || !window.AudioContext) return;
+
+  try {
+    const ctx = new AudioContext();
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = 2048;
+    ctx.createMediaStreamSource(new MediaStream(tracks)).connect(analyser);
+
+    audioMeter = {
+      ctx,
+      analyser,
+      data: new Float32Array(analyser.fftSize),
+      lastTick: performance.now(),
+      interval: null
+    };
+    silentRunSeconds = 0;
+    // setInterval rather than rAF: keeps counting while the tab is in the background
+    audioMeter.interval = setInterval(sampleAudioLevel, METER_INTERVAL_MS);
+  } catch (err) {
+    console.warn("[Record] Audio meter unavailable:", err);
+  }
+}
+
+function stopAudioMeter() {
+  if (!audioMeter) return;
+  clearInterval(audioMeter.interval);
+  audioMeter.ctx.close().catch(() => {});
+  audioMeter = null;
+
+  const bar = UI.$("#audio-level-bar");
+  if (bar) bar.style.width = "0%";
+}
+
+function sampleAudioLevel() {
+  if (!audioMeter) return;
+  const { analyser, data } = audioMeter;
+  analyser.getFloatTimeDomainData(data);
+
+  let sum = 0, peak = 0;
+  for (let i = 0; i < data.length; i++) {
+    const v = Math.abs(data[i]);
+    sum += v * v;
+    if (v > peak) peak = v;
+  }
+  const rms = Math.sqrt(sum / data.length);
+
+  const now = performance.now();
+  const dt = (now - audioMeter.lastTick) / 1000;
+  audioMeter.lastTick = now;
+
+  // Meter: map -60..0 dBFS onto 0..100%
+  const db = rms > 0 ? 20 * Math.log10(rms) : -60;
+  const pct = Math.max(0, Math.min(100, (db + 60) / 60 * 100));
+  const bar = UI.$("#audio-level-bar");
+  if (bar) {
+    bar.style.width = `${pct}%`;
+    bar.classList.toggle("bg-red-500", peak >= CLIP_PEAK);
+    bar.classList.toggle("bg-amber-400", peak < CLIP_PEAK && rms < SILENCE_RMS);
+    bar.classList.toggle("bg-green-500", peak < CLIP_PEAK && rms >= SILENCE_RMS);
+  }
+
+  const recording = UI.mediaRecorder?.state === "recording";
+
+  if (rms < SILENCE_RMS) {
+    const before = silentRunSeconds;
+    silentRunSeconds += dt;
+    if (recording) recordingSilentSeconds += dt;
+    if (before < SILENCE_WARN_SECONDS && silentRunSeconds >= SILENCE_WARN_SECONDS) {
+      UI.toast(`No audio for ${SILENCE_WARN_SECONDS}s — is the mic muted?`, "warn");
+    }
+  } else {
+    silentRunSeconds = 0;
+  }
+
+  if (peak >= CLIP_PEAK && Date.now() - lastClipToastAt > CLIP_TOAST_COOLDOWN_MS) {
+    lastClipToastAt = Date.now();
+    UI.toast("Audio is clipping — move the mic back or lower the input.", "warn");
+  }
+}
+
+/* ========================================================================== */
+/* SCREEN + PRESENTER COMPOSITE
+/* Slides full-frame with the camera as picture-in-picture, drawn onto a
+/* canvas whose captureStream() feeds the normal MediaRecorder flow.
+/* ========================================================================== */
+
+const PIP_SCALE = 0.25;   // Presenter width as a fraction of the frame
+const PIP_MARGIN = 16;    // px inset from the chosen corner
+const COMPOSITE_FPS = 30;
+
+let compositeSession = null; // { screen, camera, canvas, ctx, screenVideo, cameraVideo, screenLive, ticker, audioCtx }
+
+function makeHiddenVideo(stream) {
+  const v = document.createElement("video");
+  v.muted = true;
+  v.playsInline = true;
+  v.srcObject = stream;
+  v.play().catch(() => {});
+  return v;
+}
+
+// requestAnimationFrame stops firing once the presenter switches to their
+// slides window, so the canvas is driven by a worker timer instead.
+function createFrameTicker(fps, onTick) {
+  const src = `setInterval(() => postMessage(0), ${Math.round(1000 / fps)});`;
+  const url = URL.createObjectURL(new Blob([src], { type: "text/javascript" }));
+  const worker = new Worker(url);
+  URL.revokeObjectURL(url);
+  worker.onmessage = onTick;
+  return worker;
+}
+
+function drawContained(ctx, video, x, y, w, h) {
+  const vw = video.videoWidth, vh = video.videoHeight;
+  if (!vw || !vh) return;
+  const scale = Math.min(w / vw, h / vh);
+  const dw = vw * scale, dh = vh * scale;
+  ctx.drawImage(video, x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+}
+
+function drawCompositeFrame() {
+  if (!compositeSession) return;
+  const { canvas, ctx, screenVideo, cameraVideo, screenLive } = compositeSession;
+  const W = canvas.width, H = canvas.height;
+
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, W, H);
+
+  // Screen share ended mid-recording → presenter goes full-frame
+  if (!screenLive) {
+    drawContained(ctx, cameraVideo, 0, 0, W, H);
+    return;
+  }
+
+  drawContained(ctx, screenVideo, 0, 0, W, H);
+
+  if (!cameraVideo.videoWidth) return;
+  const pw = Math.round(W * PIP_SCALE);
+  const ph = Math.round(pw * cameraVideo.videoHeight / cameraVideo.videoWidth);
+  const corner = UI.pipCorner || "br";
+  const px = corner.endsWith("l") ? PIP_MARGIN : W - pw - PIP_MARGIN;
+  const py = corner.startsWith("t") ? PIP_MARGIN : H - ph - PIP_MARGIN;
+
+  ctx.drawImage(cameraVideo, px, py, pw, ph);
+  ctx.strokeStyle = "rgba(255,255,255,0.8)";
+  ctx.lineWidth = 2;
+  ctx.strokeRect(px, py, pw, ph);
+}
+
+async function startCompositeStream() {
+  // Display picker first: it must run inside the click's user activation
+  const screen = await navigator.mediaDevices.getDisplayMedia({
+    video: { frameRate: Math.min(COMPOSITE_FPS, UI.getQualityPreset().frameRate) },
+    audio: true
+  });
+
+  let camera;
+  try {
+    camera = await openCameraStream();
+  } catch (err) {
+    screen.getTracks().forEach(t => t.stop());
+    throw err;
+  }
+
+  const screenTrack = screen.getVideoTracks()[0];
+  const { width = 1280, height = 720 } = screenTrack.getSettings();
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.min(width, UI.getQualityPreset().width) & ~1; // Encoders want even sizes
+  canvas.height = Math.round(canvas.width * height / width) & ~1;
+
+  compositeSession = {
+    screen,
+    camera,
+    canvas,
+    ctx: canvas.getContext("2d"),
+    screenVideo: makeHiddenVideo(screen),
+    cameraVideo: makeHiddenVideo(camera),
+    screenLive: true,
+    ticker: null,
+    audioCtx: null
+  };
+
+  screenTrack.addEventListener("ended", () => {
+    if (!compositeSession) return;
+    compositeSession.screenLive = false;
+    UI.toast("Screen sharing stopped — presenter only.", "warn");
+  });
+
+  compositeSession.ticker = createFrameTicker(COMPOSITE_FPS, drawCompositeFrame);
+
+  const out = canvas.captureStream(COMPOSITE_FPS);
+
+  // Mic always; mix in tab/system audio when the browser shared it
+  const displayAudio = screen.getAudioTracks();
+  if (displayAudio.length) {
+    const audioCtx = new AudioContext();
+    const dest = audioCtx.createMediaStreamDestination();
+    if (camera.getAudioTracks().length) {
+      audioCtx.createMediaStreamSource(new MediaStream(camera.getAudioTracks())).connect(dest);
+    }
+    audioCtx.createMediaStreamSource(new MediaStream(displayAudio)).connect(dest);
+    compositeSession.audioCtx = audioCtx;
+    dest.stream.getAudioTracks().forEach(t => out.addTrack(t));
+  } else {
+    camera.getAudioTracks().forEach(t => out.addTrack(t));
+  }
+
+  return out;
+}
+
+function stopCompositeStream() {
+  if (!compositeSession) return;
+  const { screen, camera, ticker, audioCtx, screenVideo, cameraVideo } = compositeSession;
+  compositeSession = null;
+
+  ticker?.terminate();
+  [screen, camera].forEach(s => s.getTracks().forEach(t => t.stop()));
+  screenVideo.srcObject = null;
+  cameraVideo.srcObject = null;
+  audioCtx?.close().catch(() => {});
+}
+
+export function setPipCorner(corner) {
+  UI.setPipCorner(corner);
+  const sel = UI.$("#pip-corner-select");
+  if (sel) sel.value = corner;
+}
+
+// Click a quadrant of the live preview to move the presenter there
+export function handlePreviewClick(e) {
+  if (!compositeSession) return;
+  const rect = e.currentTarget.getBoundingClientRect();
+  const v = (e.clientY - rect.top) < rect.height / 2 ? "t" : "b";
+  const h = (e.clientX - rect.left) < rect.width / 2 ? "l" : "r";
+  setPipCorner(v + h);
+}
+
+export async function setQualityPreset(key) {
+  UI.setQualityPreset(key);
+  // Re-open the camera with the new resolution
+  await restartPreviewForSettings("Stop and restart the preview to apply the new quality.");
+}
+
+export async function setRecordMode(mode) {
+  UI.setRecordMode(mode);
+
+  const isScreen = mode === "screen";
+  UI.$("#pip-corner-container")?.classList.toggle("hidden", !isScreen);
+  UI.$("#pip-corner-hint")?.classList.toggle("hidden", !isScreen);
+
+  // Swap sources if a preview is already running. The screen picker needs a
+  // click, so switching into screen mode stops the preview instead.
+  if (!isPreviewRunning() || isRecordingActive()) return;
+  if (isScreen) {
+    stopPreview();
+    UI.toast("Click Preview to choose the screen to share.", "info");
+  } else {
+    await startPreviewSafely();
+  }
+}
+
 /* ========================================================================== */
 /* RECORDING CONTROLS
 /* ========================================================================== */
@@ -497,14 +1402,50 @@ function clearTagList() {
   currentTags = [];
 }
 
-export function handleTagButtonClick() {
+function addTag(preset = null) {
   if (!UI.mediaRecorder || UI.mediaRecorder.state !== "recording") {
       UI.toast("Tags mark moments during a recording", "warn");
       return;
   }
-  const time = UI.secondsElapsed;
-  UI.toast(`Tag at ${time}s`, "info");
-  currentTags.push({ time, note: `Tag at ${time}s` });
+  // Position in the recorded media, not the whole-second display counter
+  const time = Math.round(getMediaPosition() * 1000) / 1000;
+  const tag = Tags.buildTag(time, preset);
+  currentTags.push(tag);
+  UI.toast(`${tag.note} @ ${UI.formatDuration(time)}`, "info");
+
+  const list = UI.$("#tag-list");
+  if (list) {
+      const li = document.createElement("li");
+      li.className = "flex items-center gap-2";
+      li.innerHTML = `<span class="w-2 h-2 rounded-full flex-shrink-0" style="background-color: ${tag.color}"></span><span class="font-mono">${UI.formatDuration(time)}</span>`;
+      li.append(document.createTextNode(tag.note));
+      list.appendChild(li);
+  }
+}
+
+export function handleTagButtonClick() {
+  addTag(null);
+}
+
+// Record tab preset chips
+export function handleTagPresetClick(e) {
+  const chip = e.target.closest(".tag-preset-chip");
+  if (!chip) return;
+  const preset = Tags.getPresetById(chip.dataset.presetId);
+  if (preset) addTag(preset);
+}
+
+// Keys 1–9 drop the matching preset while recording
+export function handleTagHotkey(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+  if (!/^[1-9]$/.test(e.key)) return;
+  if (e.target.closest?.("input, textarea, select, [contenteditable='true']")) return;
+  if (!UI.mediaRecorder || UI.mediaRecorder.state !== "recording") return;
+
+  const preset = Tags.getPresetByHotkey(e.key);
+  if (!preset) return;
+  e.preventDefault();
+  addTag(preset);
 }
 
 export async function startPreviewSafely() {
@@ -528,6 +1469,8 @@ export async function startPreviewSafely() {
   screen.classList.remove("recording-active");
   
   if (UI.mediaStream) UI.mediaStream.getTracks().forEach(t => t.stop());
+  stopCompositeStream();
+  stopAudioMeter();
   
   UI.updateRecordingUI("idle");
   UI.setRecordedChunks([]);
@@ -535,21 +1478,24 @@ export async function startPreviewSafely() {
   
   try {
 
-      // 🔄 REVERT: Back to the original, stable camera switcher
-        const videoConstraints = UI.currentFacingMode 
-            ? { facingMode: UI.currentFacingMode } 
-            : true;
+      let stream;
 
-        const stream = await navigator.mediaDevices.getUserMedia({
-            audio: true,
-            video: videoConstraints
-        });
+      if (UI.recordMode === "screen") {
+        // 🖥️ Screen + Presenter composite
+        stream = await startCompositeStream();
+      } else {
+        // 🎛️ Remembered camera/mic (falls back to facingMode/default)
+        stream = await openCameraStream();
+      }
         
         UI.setMediaStream(stream);
         vid.srcObject = stream;
         await vid.play().catch(()=>{});
         screen.classList.remove("hidden");
 
+        refreshDeviceSelects(compositeSession?.camera || stream);
+        startAudioMeter(stream);
+
       // ✅ SURGICAL FIX 4A: Unlock Record Button
     const recordBtn = UI.$("#start-rec-btn");
     const previewBtn = UI.$("#manual-preview-btn"); 
@@ -573,7 +1519,8 @@ export async function startPreviewSafely() {
 
     } catch(e) {
       console.error(e);
-      UI.toast("Camera blocked.", "error");
+      stopCompositeStream();
+      UI.toast(UI.recordMode === "screen" ? "Screen share or camera blocked." : "Camera blocked.", "error");
   }
 }
 
@@ -582,6 +1529,8 @@ export function stopPreview() {
         UI.mediaStream.getTracks().forEach(t => t.stop());
         UI.setMediaStream(null);
     }
+    stopCompositeStream();
+    stopAudioMeter();
     UI.$("#preview-player").srcObject = null;
     UI.$("#preview-screen").classList.add("hidden");
 
@@ -633,30 +1582,55 @@ export async function startRecording() {
 
   try {
       UI.mediaStream.getAudioTracks().forEach(t => t.enabled = true);
-      const mime = MediaRecorder.isTypeSupported("video/webm;codecs=vp9,opus") ? "video/webm;codecs=vp9,opus" : "video/webm";
-      const rec = new MediaRecorder(UI.mediaStream, { mimeType: mime });
+      // 🎞️ WebM where supported, MP4/H.264/AAC on Safari/iPad
+      const mime = UI.pickRecordingMimeType();
+      const preset = UI.getQualityPreset();
+      const recOptions = {
+          videoBitsPerSecond: preset.videoBitsPerSecond,
+          audioBitsPerSecond: preset.audioBitsPerSecond
+      };
+      if (mime) recOptions.mimeType = mime;
+      const rec = new MediaRecorder(UI.mediaStream, recOptions);
       UI.setMediaRecorder(rec);
 
-      rec.ondataavailable = e => { if (e.data.size > 0) UI.recordedChunks.push(e.data); };
+      releaseRecordingSessions();
+      await beginRecordingSession(rec.mimeType || mime);
+      const sessionId = activeSessionId;
+
+      rec.ondataavailable = e => {
+          if (e.data.size > 0) {
+              UI.recordedChunks.push(e.data);
+              persistChunk(sessionId, e.data); // 💾 Crash-safe journal
+          }
+      };
       rec.onstop = () => {
           if (UI.recordedChunks.length > 0) {
-              const blob = new Blob(UI.recordedChunks, { type: rec.mimeType });
+              const blob = new Blob(UI.recordedChunks, { type: rec.mimeType || mime || UI.recordedChunks[0]?.type || "" });
               UI.setCurrentRecordingBlob(blob);
               openMetadataScreen();
           } else {
+              releaseRecordingSessions();
               UI.updateRecordingUI("idle");
-              startPreviewSafely();
+              // Screen capture needs a click, so hand back the Start Preview button
+              if (UI.recordMode === "screen") {
+                  stopPreview();
+                  UI.toast("Nothing was recorded. Click Start Preview to share your screen again.", "info");
+              } else {
+                  startPreviewSafely();
+              }
           }
       };
 
       rec.start(1000);
+      recordingStartPerf = performance.now();
+      recordingSegments = [];
+      openSegment();
+      recordingSilentSeconds = 0;
       UI.setSecondsElapsed(0);
       UI.$("#rec-timer").textContent = "00:00";
+      updateCountdown();
       if (UI.timerInterval) clearInterval(UI.timerInterval);
-      UI.setTimerInterval(setInterval(() => {
-          UI.setSecondsElapsed(UI.secondsElapsed + 1);
-          UI.$("#rec-timer").textContent = new Date(UI.secondsElapsed * 1000).toISOString().substr(14, 5);
-      }, 1000));
+      UI.setTimerInterval(setInterval(tickRecordingTimer, 250));
       UI.toast("Recording!", "success");
 
   } catch(e) {
@@ -666,24 +1640,104 @@ export async function startRecording() {
   }
 }
 
+/* -------------------------------------------------------------------------- */
+/* ⏯️ MEDIA TIMELINE
+/* The recorder only captures while a segment is open, so the position in the
+/* recorded media is the sum of segment lengths — not wall-clock time.
+/* -------------------------------------------------------------------------- */
+function openSegment() {
+  recordingSegments.push({ start: performance.now(), end: null });
+}
+
+function closeSegment() {
+  const seg = recordingSegments[recordingSegments.length - 1];
+  if (seg && seg.end == null) seg.end = performance.now();
+}
+
+// Seconds into the recorded media right now (sub-second precision)
+function getMediaPosition() {
+  const now = performance.now();
+  const ms = recordingSegments.reduce((sum, s) => sum + ((s.end ?? now) - s.start), 0);
+  return ms / 1000;
+}
+
+// Serialisable form for the video doc: media offsets + wall-clock offsets
+function getSegmentsForSave() {
+  let mediaCursor = 0;
+  return recordingSegments
+    .filter(s => s.end != null)
+    .map(s => {
+      const len = (s.end - s.start) / 1000;
+      const seg = {
+        mediaStart: +mediaCursor.toFixed(3),
+        mediaEnd: +(mediaCursor + len).toFixed(3),
+        wallStart: +((s.start - recordingStartPerf) / 1000).toFixed(3),
+        wallEnd: +((s.end - recordingStartPerf) / 1000).toFixed(3)
+      };
+      mediaCursor += len;
+      return seg;
+    });
+}
+
+function tickRecordingTimer() {
+  UI.setSecondsElapsed(Math.floor(getMediaPosition()));
+  UI.$("#rec-timer").textContent = new Date(UI.secondsElapsed * 1000).toISOString().substr(14, 5);
+  updateCountdown();
+}
+
+/* -------------------------------------------------------------------------- */
+/* ⏱️ CLASS TARGET COUNTDOWN (green → amber → red)
+/* -------------------------------------------------------------------------- */
+const COUNTDOWN_CLASSES = {
+  green: ["text-green-400", "bg-green-500/10"],
+  amber: ["text-amber-400", "bg-amber-500/10"],
+  red:   ["text-red-400", "bg-red-500/20", "animate-pulse"]
+};
+
+function getTimerClass() {
+  const id = UI.$("#timer-class-select")?.value;
+  return id ? UI.classData?.[id] : null;
+}
+
+function updateCountdown() {
+  const el = UI.$("#rec-countdown");
+  if (!el) return;
+
+  const state = UI.getTimingState(UI.secondsElapsed, getTimerClass());
+  el.classList.toggle("hidden", !state);
+  if (!state) return;
+
+  const { remaining, level } = state;
+  el.textContent = remaining >= 0
+    ? `-${UI.formatDuration(remaining)}`
+    : `+${UI.formatDuration(-remaining)}`;
+
+  Object.values(COUNTDOWN_CLASSES).flat().forEach(c => el.classList.remove(c));
+  el.classList.add(...COUNTDOWN_CLASSES[level]);
+}
+
+export function handleTimerClassChange() {
+  updateCountdown();
+}
+
 export function pauseOrResumeRecording() {
   if (!UI.mediaRecorder) return;
   if (UI.mediaRecorder.state === "recording") {
       UI.mediaRecorder.pause();
+      closeSegment();
       if(UI.timerInterval) clearInterval(UI.timerInterval);
       UI.updateRecordingUI("paused");
   } else {
       UI.mediaRecorder.resume();
-      UI.setTimerInterval(setInterval(() => {
-          UI.setSecondsElapsed(UI.secondsElapsed + 1);
-          UI.$("#rec-timer").textContent = new Date(UI.secondsElapsed * 1000).toISOString().substr(14, 5);
-      }, 1000));
+      openSegment();
+      UI.setTimerInterval(setInterval(tickRecordingTimer, 250));
       UI.updateRecordingUI("recording");
   }
 }
 
 export function stopRecording() {
-    if (UI.secondsElapsed < 1) { UI.toast("Too short.", "warn"); return; }
+    if (getMediaPosition() < 1) { UI.toast("Too short.", "warn"); return; }
+    closeSegment();
     if (UI.mediaRecorder) UI.mediaRecorder.stop();
     if (UI.timerInterval) clearInterval(UI.timerInterval);
     UI.updateRecordingUI("stopped");
@@ -704,8 +1758,10 @@ export async function discardRecording() {
         UI.setTimerInterval(null);
     }
     UI.setSecondsElapsed(0);
+    recordingSegments = [];
     const timerDisplay = UI.$("#rec-timer");
     if (timerDisplay) timerDisplay.textContent = "00:00";
+    updateCountdown();
 
     if (UI.mediaRecorder && UI.mediaRecorder.state !== "inactive") {
         if (!await UI.showConfirm("Discard?", "Confirm", "Discard")) return;
@@ -716,9 +1772,11 @@ export async function discardRecording() {
     stopPreview();
     UI.setRecordedChunks([]);
    UI.setCurrentRecordingBlob(null);
+    releaseRecordingSessions(); // 💾 Drop the crash-safe journal
 
 // ✅ Reset imported duration on discard
 importedVideoDuration = 0;
+resetTrimBar();
 
 UI.updateRecordingUI("idle");
     UI.$("#rec-timer").textContent = "00:00";
@@ -745,6 +1803,19 @@ UI.updateRecordingUI("idle");
 }
 
 export async function toggleCamera() {
+  // Laptops with USB webcams: cycle through real devices
+  let cams = [];
+  try { cams = (await listInputDevices()).video.filter(d => d.deviceId); } catch { /* ignore */ }
+
+  if (cams.length > 1) {
+    const prefs = loadDevicePrefs();
+    const idx = cams.findIndex(d => d.deviceId === prefs.videoId);
+    const next = cams[(idx + 1) % cams.length];
+    await handleDeviceSelect("video", next.deviceId, next.label);
+    if (!isPreviewRunning()) await startPreviewSafely();
+    return;
+  }
+
   UI.setCurrentFacingMode(UI.currentFacingMode === "user" ? "environment" : "user");
   await startPreviewSafely();
 }
@@ -796,6 +1867,181 @@ function resetMetadataForm() {
       groupNameInput.required = false;
   }
 }
+/* -------------------------------------------------------------------------- */
+/* ✂️ TRIM BAR (metadata screen)
+/* In/out points are saved as trimStart/trimEnd; the blob itself is untouched.
+/* -------------------------------------------------------------------------- */
+const MIN_TRIM_LENGTH = 1; // seconds
+
+function renderTrimBar() {
+  const { start, end, duration } = trimRange;
+  const startEl = UI.$("#trim-start-range");
+  const endEl = UI.$("#trim-end-range");
+  const summary = UI.$("#trim-summary");
+
+  [startEl, endEl].forEach(el => { if (el) el.max = duration; });
+  if (startEl) startEl.value = start;
+  if (endEl) endEl.value = end;
+
+  if (summary) {
+    const trimmed = start > 0 || end < duration;
+    summary.textContent = trimmed
+      ? `${UI.formatDuration(start)} → ${UI.formatDuration(end)} (${UI.formatDuration(end - start)})`
+      : `Full length (${UI.formatDuration(duration)})`;
+    summary.classList.toggle("text-amber-300", trimmed);
+  }
+}
+
+function resetTrimBar() {
+  const video = UI.$("#trim-preview");
+  if (video) {
+    video.pause();
+    video.removeAttribute("src");
+    video.load();
+  }
+  if (trimPreviewUrl) URL.revokeObjectURL(trimPreviewUrl);
+  trimPreviewUrl = null;
+  trimRange = { start: 0, end: 0, duration: 0 };
+  trimProposals = [];
+  trimAnalysing = false;
+  renderTrimSuggestions();
+}
+
+// Accepted suggestions become markers on the recording, ready for splitting
+function renderTrimSuggestions() {
+  const btn = UI.$("#trim-suggest-btn");
+  const list = UI.$("#trim-suggestions");
+  if (btn) btn.disabled = trimAnalysing;
+  if (!list) return;
+
+  list.innerHTML = "";
+  list.classList.toggle("hidden", !trimProposals.length);
+  trimProposals.forEach((p, i) => {
+    const chip = document.createElement("div");
+    chip.className = "flex items-center gap-1 pl-2 pr-1 py-1 rounded border border-dashed border-amber-400/50 text-amber-200 text-xs";
+    chip.innerHTML = `
+      <button type="button" class="suggestion-jump font-mono opacity-80 hover:opacity-100" title="Jump">${UI.formatDuration(p.time)}</button>
+      <span>${p.kind === "pause" ? "⏸" : "🔊"} ${UI.escapeHtml(p.label)}</span>
+      <button type="button" class="suggestion-accept ml-1 w-5 h-5 rounded bg-green-600/70 hover:bg-green-500 text-white" title="Accept as marker">✓</button>
+      <button type="button" class="suggestion-dismiss w-5 h-5 rounded bg-white/10 hover:bg-white/20 text-gray-300" title="Dismiss">✕</button>
+    `;
+    chip.querySelector(".suggestion-jump").onclick = () => {
+      const video = UI.$("#trim-preview");
+      if (video) video.currentTime = p.time;
+    };
+    chip.querySelector(".suggestion-accept").onclick = () => {
+      trimProposals.splice(i, 1);
+      currentTags.push({ ...Tags.buildTag(p.time, null, p.label), type: "suggested" });
+      renderTrimSuggestions();
+    };
+    chip.querySelector(".suggestion-dismiss").onclick = () => {
+      trimProposals.splice(i, 1);
+      renderTrimSuggestions();
+    };
+    list.appendChild(chip);
+  });
+}
+
+/** Runs the handover analysis on the recording that is waiting to be saved. */
+export async function suggestRecordingBoundaries() {
+  const blob = UI.currentRecordingBlob;
+  if (!blob || trimAnalysing) return;
+
+  trimAnalysing = true;
+  renderTrimSuggestions();
+  UI.toast("Analysing audio… this can take a moment for long videos.", "info");
+
+  try {
+    const proposals = await detectBoundaries(blob, {
+      start: trimRange.start,
+      end: trimRange.end < trimRange.duration ? trimRange.end : null,
+      existingTimes: currentTags.map(t => t.time)
+    });
+    if (UI.currentRecordingBlob !== blob) return; // Saved or discarded meanwhile
+    trimProposals = proposals;
+    UI.toast(proposals.length
+      ? `Found ${proposals.length} possible handover point(s).`
+      : "No clear pauses or speaker changes found.", proposals.length ? "success" : "info");
+  } catch (err) {
+    console.error("[Boundaries] Analysis failed:", err);
+    UI.toast(err.message === "TOO_LARGE"
+      ? "This recording is too large to analyse in the browser. Add markers by hand."
+      : "Couldn't analyse this recording's audio.", "error");
+  } finally {
+    trimAnalysing = false;
+    renderTrimSuggestions();
+  }
+}
+
+function setupTrimBar(blob, knownDuration) {
+  resetTrimBar();
+
+  const video = UI.$("#trim-preview");
+  const duration = Math.max(0, Number(knownDuration) || 0);
+  trimRange = { start: 0, end: duration, duration };
+  renderTrimBar();
+  if (!video) return;
+
+  trimPreviewUrl = URL.createObjectURL(blob);
+  video.src = trimPreviewUrl;
+  video.controls = true;
+
+  // MediaRecorder WebM often reports Infinity; keep the known length then
+  video.onloadedmetadata = () => {
+    if (!duration && Number.isFinite(video.duration) && video.duration > 0) {
+      trimRange = { start: 0, end: video.duration, duration: video.duration };
+      renderTrimBar();
+    }
+  };
+
+  // Preview stays inside the kept range
+  video.ontimeupdate = () => {
+    if (!trimRange.duration) return;
+    if (video.currentTime >= trimRange.end) {
+      video.pause();
+      if (video.currentTime > trimRange.end + 0.25) video.currentTime = trimRange.end;
+    } else if (video.currentTime < trimRange.start - 0.25) {
+      video.currentTime = trimRange.start;
+    }
+  };
+}
+
+export function handleTrimInput(which, value) {
+  const t = Number(value) || 0;
+  if (which === "start") {
+    trimRange.start = Math.min(Math.max(0, t), trimRange.end - MIN_TRIM_LENGTH);
+  } else {
+    trimRange.end = Math.max(Math.min(trimRange.duration, t), trimRange.start + MIN_TRIM_LENGTH);
+  }
+  trimRange.start = Math.max(0, trimRange.start);
+  trimRange.end = Math.min(trimRange.duration, trimRange.end);
+  renderTrimBar();
+
+  const video = UI.$("#trim-preview");
+  if (video) video.currentTime = which === "start" ? trimRange.start : trimRange.end;
+}
+
+export function handleTrimSetPoint(which) {
+  const video = UI.$("#trim-preview");
+  if (!video || !trimRange.duration) return;
+  handleTrimInput(which, video.currentTime);
+}
+
+export function handleTrimReset() {
+  trimRange = { ...trimRange, start: 0, end: trimRange.duration };
+  renderTrimBar();
+}
+
+// null trimEnd = "to the end"; rounded to 0.1s like the sliders
+function getTrimForSave() {
+  const { start, end, duration } = trimRange;
+  if (!duration) return { trimStart: 0, trimEnd: null };
+  return {
+    trimStart: Math.round(start * 10) / 10,
+    trimEnd: end < duration - 0.05 ? Math.round(end * 10) / 10 : null
+  };
+}
+
 async function openMetadataScreen() {
   if (!UI.currentRecordingBlob) return;
   
@@ -813,9 +2059,20 @@ if (addClassBtn && !addClassBtn.dataset.bound) {
   UI.$("#meta-instructor").value = window.USER_PROFILE?.instructorName || UI.currentUser?.email || "Instructor";
   
   UI.refreshMetadataClassList();
+
+  // ⏱️ Recorded against a class timer → preselect that class
+  const timerClassId = UI.$("#timer-class-select")?.value;
+  const metaClassSelect = UI.$("#meta-class");
+  if (timerClassId && metaClassSelect && [...metaClassSelect.options].some(o => o.value === timerClassId)) {
+    metaClassSelect.value = timerClassId;
+    handleMetadataClassChange({ target: metaClassSelect });
+  }
   
   UI.$("#meta-file-size").textContent = `${(UI.currentRecordingBlob.size / 1024 / 1024).toFixed(2)} MB`;
 
+  // ✂️ Live recordings: segments know the length even when WebM says Infinity
+  setupTrimBar(UI.currentRecordingBlob, importedVideoDuration || getMediaPosition() || UI.secondsElapsed);
+
   const storageChoiceEl = UI.$("#metadata-storage-choice");
 if (storageChoiceEl) {
   storageChoiceEl.value = UI.getStorageChoice() || "firebase";
@@ -857,7 +2114,7 @@ defaultOpt.selected = true;
   UI.$("#metadata-screen").showModal();
 }
 
-function getVideoDurationFromFile(file) {
+export function getVideoDurationFromFile(file) {
     return new Promise((resolve, reject) => {
         const video = document.createElement("video");
         const url = URL.createObjectURL(file);
@@ -931,6 +2188,7 @@ export async function handleLocalUpload(file) {
     console.log("[Record] Handling local upload:", file.name);
 
 resetScoringStateForNewVideo();
+recordingSegments = []; // Imported media has no live pause/resume timeline
 
 let importedDuration = 0;
 
@@ -1187,57 +2445,6 @@ export async function handleAddNewParticipant() {
 }
 
 
-/* -------------------------------------------------------------------------- */
-/* EXPORT TO LOCAL (File Download ONLY - No DB Write)
-/* -------------------------------------------------------------------------- */
-async function exportToLocal(metadata) {
-  try {
-      const blob = UI.currentRecordingBlob;
-      if (!blob) throw new Error("No blob");
-
-      const nameSegment = (metadata.recordingType === 'group' && metadata.groupName) ? metadata.groupName : metadata.participant;
-      const safeClass = (metadata.classEventTitle || "class").replace(/[^\w\d-_]+/g, "_");
-      const safeName = (nameSegment || "student").replace(/[^\w\d-_]+/g, "_");
-      const fileName = `${safeClass}_${safeName}_${new Date().toISOString().replace(/[:.]/g, "-")}.webm`;
-
-      let saved = false;
-      
-      // 1. Try Modern Save Picker
-      if (window.showSaveFilePicker) {
-          try {
-              const handle = await window.showSaveFilePicker({ suggestedName: fileName, types: [{ accept: {'video/webm': ['.webm']} }] });
-              const w = await handle.createWritable();
-              await w.write(blob);
-              await w.close();
-              saved = true;
-          } catch(e) {
-              if (e.name === 'AbortError') throw new Error("CANCELLED");
-          }
-      }
-
-      // 2. Fallback to Auto-Download
-      if (!saved) {
-          const a = document.createElement("a");
-          a.href = URL.createObjectURL(blob);
-          a.download = fileName;
-          a.click();
-      }
-
-      // ❌ DELETED: The Firestore 'setDoc' block was here. 
-      // Removing it stops the "Double Sean" bug. 
-      // The database save is handled exclusively by saveLocalData() now.
-
-      stopPreview();
-      const manageBtn = document.querySelector('[data-tab="tab-manage"]');
-      if(manageBtn) manageBtn.click();
-
-  } catch (err) {
-      if (err.message === "CANCELLED") throw err;
-      UI.toast("Export failed", "error");
-      throw err;
-  }
-}
-
 /* -------------------------------------------------------------------------- */
 /* ✅ FINAL METADATA SUBMIT (Hardened)
 /* NOTE:
@@ -1334,6 +2541,17 @@ if (selectedRubricId) {
 
   const generalNotes = UI.$("#meta-notes").value.trim() || null;
 
+  // ✂️ Trimmed length is what was actually presented; the file keeps it all
+  const mediaDuration = importedVideoDuration || UI.secondsElapsed || 0;
+  const { trimStart, trimEnd } = getTrimForSave();
+  const actualDuration = Math.max(0, Math.round((trimEnd ?? mediaDuration) - trimStart));
+
+  // ⏱️ Target vs actual (class chosen here is authoritative)
+  const timing = UI.getTimingState(actualDuration, UI.classData?.[classEl.value]);
+
+  // 🎞️ Real container/codecs (recorded or imported) — drives extension + content type
+  const format = UI.getContainerInfo(UI.currentRecordingBlob.type, UI.currentRecordingBlob.name);
+
   const metadata = {
   organization: UI.$("#meta-org").value,
   instructor: UI.$("#meta-instructor").value,
@@ -1353,7 +2571,23 @@ if (selectedRubricId) {
   tags: currentTags,
 
   fileSize: UI.currentRecordingBlob.size,
-  duration: importedVideoDuration || UI.secondsElapsed || 0,
+  duration: actualDuration,
+  mediaDuration,
+  trimStart,
+  trimEnd,
+  mimeType: format.mimeType,
+  container: format.ext,
+
+  // ⏯️ Pause/resume segments (live recordings only)
+  segments: importedVideoDuration ? [] : getSegmentsForSave(),
+
+  targetDuration: timing?.target ?? null,
+  durationTolerance: timing ? timing.tolerance : null,
+  actualDuration,
+  overtime: timing?.overtime ?? false,
+
+  // 🎙️ Only known for live recordings (imports/recoveries weren't metered)
+  silentSeconds: importedVideoDuration ? null : Math.round(recordingSilentSeconds),
 
   recordedAt: new Date().toISOString(),
 
@@ -1363,7 +2597,10 @@ if (selectedRubricId) {
 
   finalScores,
   totalScore,
-  rowNotes
+  rowNotes,
+
+  // 📈 Timestamped score changes made while recording
+  scoreHistory: [...liveScores]
 };
 
   /* ---------------------------------------------------------------------- */
@@ -1387,6 +2624,8 @@ if (selectedRubricId) {
     submitBtn.textContent = "Saving...";
   }
 
+  let uploading = false; // Cloud upload continues in the background (uploads.js)
+
   try {
     UI.toast("Saving...", "info");
     const storage =
@@ -1396,38 +2635,44 @@ if (selectedRubricId) {
 
 UI.setStorageChoice(storage);
 
-    if (storage === "local") {
-      await exportToLocal(metadata);
-      UI.toast("Syncing data...", "info");
-      await saveLocalData(metadata);
-    } else if (storage === "gdrive") {
-      await UI.uploadToDrivePlaceholder(
-        UI.currentRecordingBlob,
-        metadata
-      );
-    } else {
-      metadata.id = null;
-      await saveRecording(metadata, UI.currentRecordingBlob);
+    // ☁ Firebase resolves once the blob is safe in IndexedDB and keeps
+    // uploading (done), so the teacher can record the next student straight away
+    const { done } = await getProvider(storage).save(metadata, UI.currentRecordingBlob);
+    if (done) {
+      uploading = true;
+      const label = metadata.participant || "Recording";
+      done
+        .then(ok => {
+          if (!ok) return; // Still queued; the queue reports it
+          UI.toast(`${label} uploaded.`, "success");
+          loadLibrary();
+        })
+        .catch(err => {
+          console.error("[Record] Background upload failed:", err);
+          UI.toast(`${label} could not be uploaded. Check the upload queue.`, "error");
+        });
     }
 
    UI.$("#metadata-screen").close();
-UI.toast("Saved!", "success");
+UI.toast(uploading ? "Uploading in the background — you can record the next student." : "Saved!", "success");
+
+// 💾 Saved for real — the crash-safe journal is no longer needed
+releaseRecordingSessions();
 
 // ✅ Reset imported duration so next video is clean
 importedVideoDuration = 0;
+resetTrimBar();
 
 
-    if (storage !== "local") {
-      stopPreview();
-      document
-        .querySelector('[data-tab="tab-manage"]')
-        ?.click();
-      discardRecording();
-    }
+    stopPreview();
+    document
+      .querySelector('[data-tab="tab-manage"]')
+      ?.click();
+    if (storage !== "local") discardRecording();
   } catch (err) {
     if (err.message !== "CANCELLED") {
       console.error(err);
-      UI.toast(`Save failed: ${err.message}`, "error");
+      UI.toast(`Save failed: ${storageErrorMessage(err)}`, "error");
     }
   } finally {
     if (submitBtn) {
@@ -1440,7 +2685,7 @@ importedVideoDuration = 0;
 // ---------------------------------------------------------
 // 🎯 TIMELINE PIN RENDERER (Clean Flags Style)
 // ---------------------------------------------------------
-function renderTimelinePins(tags, dbDuration) {
+function renderTimelinePins(tags, dbDuration, trim = {}, proposals = []) {
     const video = document.getElementById("main-player");
     const layer = document.getElementById("timeline-marker-layer");
 
@@ -1449,7 +2694,7 @@ function renderTimelinePins(tags, dbDuration) {
 
     layer.innerHTML = ""; // Clear existing
 
-    if (!Array.isArray(tags) || tags.length === 0) return;
+    if ((!Array.isArray(tags) || tags.length === 0) && !proposals.length) return;
 
     // 2. GET DURATION
     let duration = dbDuration;
@@ -1458,7 +2703,7 @@ function renderTimelinePins(tags, dbDuration) {
 
     // Retry if missing
     if (!duration || isNaN(duration) || duration === Infinity) {
-        setTimeout(() => renderTimelinePins(tags, dbDuration), 500);
+        setTimeout(() => renderTimelinePins(tags, dbDuration, trim, proposals), 500);
         return;
     }
 
@@ -1466,6 +2711,10 @@ function renderTimelinePins(tags, dbDuration) {
     tags.forEach(tag => {
         if (!tag.time || tag.time < 0) return;
 
+        // ✂️ Markers in the trimmed-away parts aren't reachable
+        if (trim.start && tag.time < trim.start) return;
+        if (trim.end != null && tag.time > trim.end) return;
+
         const percent = (tag.time / duration) * 100;
         if (percent > 100) return; 
 
@@ -1499,7 +2748,7 @@ function renderTimelinePins(tags, dbDuration) {
         // Using an SVG to draw a crisp flag
         const flagIcon = document.createElement("div");
         flagIcon.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" class="w-4 h-4 text-[#005288] drop-shadow-sm transition-transform duration-200 group-hover:scale-125 group-hover:text-[#0063a3]">
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" class="w-4 h-4 drop-shadow-sm transition-transform duration-200 group-hover:scale-125" style="color: ${tag.color || Tags.DEFAULT_TAG_COLOR}">
               <path fill-rule="evenodd" d="M3 2.25a.75.75 0 01.75.75v.54l1.838-.46a9.75 9.75 0 016.725.738l.108.054a8.25 8.25 0 005.58.652l3.109-.732a.75.75 0 01.917.81 47.784 47.784 0 00.005 10.337.75.75 0 01-.574.812l-3.114.733a9.75 9.75 0 01-6.594-.158l-.108-.054a8.25 8.25 0 00-5.69-.625l-2.202.55V21a.75.75 0 01-1.5 0V3a.75.75 0 01.75-.75z" clip-rule="evenodd" />
             </svg>
         `;
@@ -1546,5 +2795,22 @@ function renderTimelinePins(tags, dbDuration) {
         pinContainer.appendChild(tooltip);
         layer.appendChild(pinContainer);
     });
+
+    // 4. SUGGESTED BOUNDARIES (dashed, not saved until accepted)
+    proposals.forEach(p => {
+        const percent = (p.time / duration) * 100;
+        if (percent < 0 || percent > 100) return;
+
+        const pin = document.createElement("div");
+        pin.className = "absolute top-1/2 -translate-y-1/2 -ml-1 w-2 h-6 flex justify-center cursor-pointer pointer-events-auto z-[100]";
+        pin.style.left = `${percent}%`;
+        pin.title = `Suggested: ${p.label} (${UI.formatDuration(p.time)})`;
+        pin.innerHTML = `<div class="h-full border-l-2 border-dashed ${p.kind === "pause" ? "border-amber-300" : "border-cyan-300"} opacity-80 hover:opacity-100"></div>`;
+        pin.onclick = (e) => {
+            e.stopPropagation();
+            video.currentTime = p.time;
+        };
+        layer.appendChild(pin);
+    });
 }
 window.renderTimelinePins = renderTimelinePins;
\ No newline at end of file
@@ -0,0 +1,177 @@
+/* ========================================================================== */
+/* MODULE: resumable.js
+/* Firebase Storage uploads over the same resumable protocol the SDK uses,
+/* but with the session URL handed back to the caller.
+/* - The queue stores { url, offset } on its item, so after a reload or crash
+/*   the upload carries on from the last confirmed byte, not from zero
+/* - Sends 8 MB chunks; a network blip asks the session how far it got
+/* - A session the server no longer knows (expired after ~a week) starts over
+/* ========================================================================== */
+
+import { getAuth } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js";
+import { createUploadTask, canceledError } from "./uploads.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const API_BASE = "https://firebasestorage.googleapis.com/v0";
+const CHUNK_BYTES = 8 * 1024 * 1024;   // Must be a multiple of 256 KiB
+const MAX_CHUNK_RETRIES = 5;
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+async function authHeaders() {
+  const user = getAuth().currentUser;
+  if (!user) throw new Error("AUTH_LOST");
+  return { Authorization: `Firebase ${await user.getIdToken()}` };
+}
+
+// Shaped like the SDK's errors so queue.js can tell retryable from fatal
+function storageError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+function httpError(res) {
+  if (res.status === 401 || res.status === 403) return storageError("storage/unauthorized", `HTTP ${res.status}`);
+  if (res.status === 429 || res.status >= 500) return storageError("storage/retry-limit-exceeded", `HTTP ${res.status}`);
+  return storageError("storage/unknown", `HTTP ${res.status}`);
+}
+
+async function startSession(storageRef, blob, { contentType, customMetadata }) {
+  const url = `${API_BASE}/b/${encodeURIComponent(storageRef.bucket)}/o?name=${encodeURIComponent(storageRef.fullPath)}`;
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      ...await authHeaders(),
+      "X-Goog-Upload-Protocol": "resumable",
+      "X-Goog-Upload-Command": "start",
+      "X-Goog-Upload-Header-Content-Length": String(blob.size),
+      "X-Goog-Upload-Header-Content-Type": contentType,
+      "Content-Type": "application/json; charset=utf-8"
+    },
+    body: JSON.stringify({ name: storageRef.fullPath, contentType, metadata: customMetadata || {} })
+  });
+  if (!res.ok) throw httpError(res);
+
+  const sessionUrl = res.headers.get("X-Goog-Upload-URL");
+  if (!sessionUrl) throw storageError("storage/unknown", "No upload session URL.");
+  return sessionUrl;
+}
+
+/**
+ * How far a session got: { status: "active" | "final", offset },
+ * or null when the server no longer knows it.
+ */
+async function querySession(sessionUrl) {
+  const res = await fetch(sessionUrl, {
+    method: "POST",
+    headers: { ...await authHeaders(), "X-Goog-Upload-Command": "query" }
+  });
+  if (res.status === 404 || res.status === 410) return null;
+  if (!res.ok) throw httpError(res);
+  return {
+    status: res.headers.get("X-Goog-Upload-Status") || "active",
+    offset: Number(res.headers.get("X-Goog-Upload-Size-Received")) || 0
+  };
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+/**
+ * Uploads blob to storageRef. Resolves once the file is complete.
+ * options:
+ *   session            { url } from an earlier onSession call, to resume
+ *   onSession(session) called with { url, offset } as the upload moves on
+ *   onProgress(pct, { bytesTransferred, totalBytes }), onTask(task)
+ */
+export async function uploadResumable(storageRef, blob, fileMeta, { session, onSession, onProgress, onTask } = {}) {
+  const total = blob.size;
+  const task = createUploadTask();
+  onTask?.(task);
+
+  let sessionUrl = session?.url || null;
+  let offset = 0;
+
+  // 1. Pick up an earlier session where the server says it stopped
+  if (sessionUrl) {
+    const state = await querySession(sessionUrl).catch(() => null);
+    if (state?.status === "final") {
+      onProgress?.(100, { bytesTransferred: total, totalBytes: total });
+      return;
+    }
+    if (state) offset = state.offset;
+    else sessionUrl = null;
+  }
+
+  if (!sessionUrl) {
+    sessionUrl = await startSession(storageRef, blob, fileMeta);
+    offset = 0;
+  }
+  await onSession?.({ url: sessionUrl, offset });
+  onProgress?.((offset / total) * 100, { bytesTransferred: offset, totalBytes: total });
+
+  // 2. Send chunks; the last one finalizes
+  let failures = 0;
+  while (true) {
+    await task.waitIfPaused();
+    if (task.canceled) {
+      authHeaders()
+        .then(headers => fetch(sessionUrl, { method: "POST", headers: { ...headers, "X-Goog-Upload-Command": "cancel" } }))
+        .catch(() => {});
+      throw canceledError();
+    }
+
+    const end = Math.min(offset + CHUNK_BYTES, total);
+    const last = end >= total;
+
+    let res;
+    try {
+      res = await fetch(sessionUrl, {
+        method: "POST",
+        headers: {
+          ...await authHeaders(),
+          "X-Goog-Upload-Command": last ? "upload, finalize" : "upload",
+          "X-Goog-Upload-Offset": String(offset)
+        },
+        body: blob.slice(offset, end)
+      });
+    } catch (err) {
+      if (++failures > MAX_CHUNK_RETRIES) throw err;
+      await new Promise(r => setTimeout(r, 1000 * 2 ** failures));
+      const state = await querySession(sessionUrl).catch(() => null);
+      if (state?.status === "final") {
+        onProgress?.(100, { bytesTransferred: total, totalBytes: total });
+        return;
+      }
+      if (state) offset = state.offset;
+      continue;
+    }
+
+    if (res.ok) {
+      failures = 0;
+      if (last || res.headers.get("X-Goog-Upload-Status") === "final") {
+        onProgress?.(100, { bytesTransferred: total, totalBytes: total });
+        return;
+      }
+      offset = end;
+      await onSession?.({ url: sessionUrl, offset });
+      onProgress?.((offset / total) * 100, { bytesTransferred: offset, totalBytes: total });
+      continue;
+    }
+
+    if ((res.status === 429 || res.status >= 500) && ++failures <= MAX_CHUNK_RETRIES) {
+      await new Promise(r => setTimeout(r, 1000 * 2 ** failures));
+      const state = await querySession(sessionUrl).catch(() => null);
+      if (state) offset = state.offset;
+      continue;
+    }
+    throw httpError(res);
+  }
+}
@@ -0,0 +1,240 @@
+/* ========================================================================== */
+/* MODULE: retention.js
+/* Enforces the archive / delete dates set on each class.
+/* - Past archiveDate → archived, same as the Archive button
+/* - Past deleteDate  → a notice lists what will go; the teacher can purge,
+/*   export first, or postpone. Nothing is purged without that confirmation
+/* - Only videos carrying the class id are purged; older title-only docs are
+/*   listed for the teacher to check by hand
+/* - Runs after login and then every few hours while the app is open
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+import * as DB from "./firestore.js";
+import { buildMarkerCsv, csvCell } from "./tags.js";
+import { providerForVideo } from "./storage.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const POSTPONE_DAYS = 30;
+
+let timer = null;
+let checking = false;
+let dueClasses = [];      // [{ cls, videos, titleOnly }] shown in the notice
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+// <input type="date"> values are local calendar days, so compare as strings
+function localDay(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isDue(day) {
+  return !!day && day <= localDay();
+}
+
+function classRef(id) {
+  return { db: UI.db, appId: UI.getAppId(), uid: UI.currentUser.uid, id };
+}
+
+function fileLocation(v) {
+  if (v.downloadURL) return v.downloadURL;
+  if (v.localFileName) return `Local: ${v.localFileName}`;
+  return v.storagePath || "";
+}
+
+function buildClassCsv(videos) {
+  const rows = [["Participant", "Group", "Recorded", "Total Score", "Rubric", "Notes", "Markers", "File"]];
+  videos.forEach(v => {
+    const recorded = v.recordedAt || (v.createdAt?.toDate ? v.createdAt.toDate().toISOString() : "");
+    rows.push([
+      v.participant, v.groupName || "", recorded, v.hasScore ? v.totalScore : "",
+      v.rubricTitle || v.rubricId || "", v.notes || "", (v.tags || []).length, fileLocation(v)
+    ]);
+  });
+  return rows.map(r => r.map(csvCell).join(",")).join("\n");
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+/** Archives overdue classes and opens the purge notice if any are due. */
+export async function enforceRetention() {
+  if (checking || !UI.db || !UI.currentUser) return;
+  checking = true;
+
+  try {
+    const classes = Object.values(UI.classData || {});
+
+    const toArchive = classes.filter(c => !c.archived && isDue(c.archiveDate));
+    for (const cls of toArchive) {
+      await DB.archiveClass(classRef(cls.id));
+      cls.archived = true;
+    }
+    if (toArchive.length) {
+      await DB.refreshClassesList();
+      UI.refreshMetadataClassList?.();
+      UI.toast(`Archived ${toArchive.length} class(es) past their archive date.`, "info");
+    }
+
+    const toPurge = classes.filter(c => isDue(c.deleteDate));
+    if (!toPurge.length) return;
+
+    const byClass = await DB.getVideosForClasses(toPurge);
+    dueClasses = toPurge.map(cls => ({
+      cls,
+      videos: byClass[cls.id]?.videos || [],
+      titleOnly: byClass[cls.id]?.titleOnly || []
+    }));
+    renderRetentionNotice();
+    const dialog = UI.$("#retention-screen");
+    if (dialog && !dialog.open) dialog.showModal();
+  } catch (err) {
+    console.error("[Retention] Check failed:", err);
+  } finally {
+    checking = false;
+  }
+}
+
+export function startRetentionSchedule() {
+  stopRetentionSchedule();
+  enforceRetention();
+  timer = setInterval(enforceRetention, CHECK_INTERVAL_MS);
+}
+
+export function stopRetentionSchedule() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+export function closeRetentionNotice() {
+  UI.$("#retention-screen")?.close();
+}
+
+export async function postponePurge(classId) {
+  const entry = dueClasses.find(d => d.cls.id === classId);
+  if (!entry) return;
+
+  const later = new Date();
+  later.setDate(later.getDate() + POSTPONE_DAYS);
+  const deleteDate = localDay(later);
+
+  try {
+    await DB.updateClassRetention(classId, { deleteDate });
+    entry.cls.deleteDate = deleteDate;
+    dueClasses = dueClasses.filter(d => d !== entry);
+    UI.toast(`"${entry.cls.title}" will be kept until ${deleteDate}.`, "success");
+  } catch (err) {
+    console.error("[Retention] Postpone failed:", err);
+    UI.toast("Could not postpone the deletion.", "error");
+  }
+
+  renderRetentionNotice();
+  if (!dueClasses.length) closeRetentionNotice();
+}
+
+/** Scores CSV (with file links) plus a marker CSV for one class. */
+export function exportClassRecords(classId) {
+  const entry = dueClasses.find(d => d.cls.id === classId);
+  if (!entry) return;
+
+  const base = (entry.cls.title || "class").replace(/[^\w\d-]+/g, "_");
+  UI.downloadTextFile(buildClassCsv(entry.videos), `${base}_records.csv`, "text/csv");
+
+  const markers = buildMarkerCsv(entry.videos.filter(v => (v.tags || []).length));
+  if (markers) UI.downloadTextFile(markers, `${base}_markers.csv`, "text/csv");
+
+  entry.exported = true;
+  renderRetentionNotice();
+}
+
+export async function purgeDueClasses() {
+  if (!dueClasses.length) return;
+
+  const titles = dueClasses.map(d => `<strong>${UI.escapeHtml(d.cls.title)}</strong>`).join(", ");
+  if (!await UI.showConfirm(
+    `Permanently delete ${titles} with all their recordings and scores? This cannot be undone.`,
+    "Purge Classes",
+    "Purge"
+  )) return;
+
+  let purged = 0;
+  let videos = 0;
+  let files = 0;
+  let failedFiles = 0;
+  for (const { cls } of [...dueClasses]) {
+    try {
+      const result = await DB.purgeClass(cls);
+      videos += result.videos;
+      files += result.files;
+      failedFiles += result.failedFiles;
+      // Recordings whose file survived keep the class due, for a retry
+      if (result.kept) continue;
+      purged++;
+      dueClasses = dueClasses.filter(d => d.cls.id !== cls.id);
+    } catch (err) {
+      console.error(`[Retention] Purge of "${cls.title}" failed:`, err);
+      UI.toast(`Could not purge "${cls.title}".`, "error");
+    }
+  }
+
+  if (purged || videos) UI.toast(`Purged ${videos} recording(s) and ${files} stored file(s).`, "success");
+  if (failedFiles) UI.toast(`${failedFiles} file(s) could not be removed from their storage provider. Their recordings and class were kept; purge again to retry.`, "error");
+
+  await DB.refreshClassesList();
+  UI.refreshMetadataClassList?.();
+  await DB.loadLibrary();
+
+  renderRetentionNotice();
+  if (!dueClasses.length) closeRetentionNotice();
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+export function renderRetentionNotice() {
+  const list = UI.$("#retention-list");
+  if (!list) return;
+
+  list.innerHTML = "";
+  dueClasses.forEach(({ cls, videos, titleOnly = [], exported }) => {
+    const scored = videos.filter(v => v.hasScore).length;
+    const onDevice = videos.filter(v => providerForVideo(v).id === "local").length;
+
+    const row = document.createElement("div");
+    row.className = "p-3 rounded-lg bg-white/5 border border-white/10 space-y-2";
+    row.innerHTML = `
+      <div class="flex items-center justify-between gap-2">
+        <div class="min-w-0">
+          <div class="font-semibold text-white truncate">${UI.escapeHtml(cls.title)}</div>
+          <div class="text-xs text-gray-400">Delete date ${UI.escapeHtml(cls.deleteDate)} · ${(cls.participants || []).length} student(s) on the roster</div>
+        </div>
+        <div class="flex gap-2 shrink-0">
+          <button type="button" class="retention-export text-xs px-2 py-1 rounded bg-white/10 hover:bg-white/20">${exported ? "✓ Exported" : "⬇ Export"}</button>
+          <button type="button" class="retention-postpone text-xs px-2 py-1 rounded bg-white/10 hover:bg-white/20">Postpone ${POSTPONE_DAYS} days</button>
+        </div>
+      </div>
+      <div class="text-xs text-gray-300">
+        ${videos.length} recording(s), ${scored} scored.
+        ${onDevice ? `<span class="text-gray-400">${onDevice} saved on a local device; those files are not touched.</span>` : ""}
+      </div>
+      ${videos.length ? `<div class="text-[11px] text-gray-500 truncate">${videos.slice(0, 8).map(v => UI.escapeHtml(v.participant)).join(", ")}${videos.length > 8 ? ", …" : ""}</div>` : ""}
+      ${titleOnly.length ? `<div class="text-xs text-amber-300">
+        ${titleOnly.length} older recording(s) match only by class name and will be kept. Check them in the Library and delete any that belong to this class:
+        <span class="text-gray-400">${titleOnly.slice(0, 8).map(v => UI.escapeHtml(v.participant)).join(", ")}${titleOnly.length > 8 ? ", …" : ""}</span>
+      </div>` : ""}
+    `;
+
+    row.querySelector(".retention-export").onclick = () => exportClassRecords(cls.id);
+    row.querySelector(".retention-postpone").onclick = () => postponePurge(cls.id);
+    list.appendChild(row);
+  });
+}
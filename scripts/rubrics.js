@@ -8,6 +8,7 @@
 /* ========================================================================== */
 
 import * as UI from "./ui.js";
+import { moveRubricToTrash, getTrashKeepDays } from "./trash.js";
 import {
   collection,
   addDoc,
@@ -17,7 +18,6 @@ import {
   getDocs,
   query,
   orderBy,
-  deleteDoc,
   doc
 } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 
@@ -168,7 +168,7 @@ export function addBuilderRow(existingData = null) {
           class="row-title w-full bg-black/40 border border-white/10 rounded-lg px-3 py-2 text-sm text-white
                  focus:border-primary-500 focus:ring-1 focus:ring-primary-500 outline-none placeholder-gray-600"
           placeholder="e.g., Argument & Analysis"
-          value="${escapeHtml(titleVal)}"
+          value="${UI.escapeHtml(titleVal)}"
         >
       </div>
 
@@ -267,7 +267,7 @@ function updateScoreDescriptions(rowEl, existingTooltips = {}) {
         class="flex-1 bg-black/40 border border-white/10 rounded px-2 py-1.5 text-xs text-gray-300 focus:border-primary-500 outline-none placeholder-gray-700"
         placeholder="Description for score ${score}"
         data-score="${score}"
-        value="${escapeHtml(currentValues[key] || "")}"
+        value="${UI.escapeHtml(currentValues[key] || "")}"
       >
     `;
     container.appendChild(wrap);
@@ -480,8 +480,8 @@ export async function loadSavedRubrics() {
 
       el.innerHTML = `
         <div class="flex justify-between items-center mb-2">
-          <div class="font-semibold text-white truncate max-w-[170px]" title="${escapeHtml(data.title || "Untitled")}">
-            ${escapeHtml(data.title || "Untitled")}
+          <div class="font-semibold text-white truncate max-w-[170px]" title="${UI.escapeHtml(data.title || "Untitled")}">
+            ${UI.escapeHtml(data.title || "Untitled")}
             ${verBadge}
             ${lockBadge}
           </div>
@@ -540,19 +540,25 @@ export async function loadSavedRubrics() {
       // Delete
       el.querySelector(".delete-rubric-btn").onclick = async () => {
         const ok = await UI.showConfirm(
-          "Delete this rubric? Existing scores on videos will remain, but this rubric definition will be removed.",
+          `Move this rubric to the Trash? Existing scores on videos will remain. You can restore it for ${getTrashKeepDays()} day(s).`,
           "Delete Rubric?",
           "Delete"
         );
         if (!ok) return;
 
-        await deleteDoc(doc(colRef, docSnap.id));
+        try {
+          await moveRubricToTrash({ id: docSnap.id, ...data });
+        } catch (err) {
+          console.error("Rubric delete failed:", err);
+          UI.toast("Delete failed.", "error");
+          return;
+        }
 
         // If deleting active or editing rubric, reset state
         if (activeRubric?.id === docSnap.id) activeRubric = null;
         if (editingRubricId === docSnap.id) resetBuilder();
 
-        UI.toast("Rubric deleted.", "success");
+        UI.toast("Rubric moved to Trash.", "success");
         await loadSavedRubrics();
       };
 
@@ -667,17 +673,3 @@ export function getActiveRubric() {
 export function getAllRubrics() {
   return Array.isArray(savedRubricsCache) ? savedRubricsCache : [];
 }
-
-/* ========================================================================== */
-/* SMALL UTILS
-/* ========================================================================== */
-
-// Prevent HTML injection in template literals (titles/tooltips)
-function escapeHtml(str) {
-  return String(str ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
-}
@@ -0,0 +1,272 @@
+/* ========================================================================== */
+/* MODULE: s3.js
+/* S3-compatible bucket (MinIO, Ceph, AWS) as a storage provider ("s3").
+/* - Requests are signed in the browser with AWS Signature V4 (WebCrypto)
+/* - Path-style URLs (endpoint/bucket/key), which MinIO expects by default;
+/*   a path on the endpoint (e.g. behind a proxy) is kept
+/* - Only endpoint, bucket and region are saved. Credentials are temporary
+/*   (STS) keys with a session token, held in memory for this tab only
+/* - Playback uses short-lived presigned GET URLs, so <video> can stream
+/* - The bucket needs a CORS rule allowing this origin (GET/PUT/DELETE,
+/*   and exposing ETag)
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const SERVICE = "s3";
+const PRESIGN_SECONDS = 3600;
+const UNSIGNED = "UNSIGNED-PAYLOAD";
+const KEY_PREFIX = "reelrubric";
+
+const encoder = new TextEncoder();
+
+let credentials = null;   // { accessKeyId, secretAccessKey, sessionToken }, never persisted
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+}
+
+async function hmac(key, text) {
+  const raw = typeof key === "string" ? encoder.encode(key) : key;
+  const cryptoKey = await crypto.subtle.importKey("raw", raw, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(text));
+}
+
+// RFC 3986 encoding as SigV4 wants it (encodeURIComponent leaves !'()* alone)
+function uriEncode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function amzDates(now = new Date()) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+}
+
+function requireConfig() {
+  const cfg = getS3Config();
+  if (!cfg.endpoint || !cfg.bucket) throw new Error("S3_NOT_CONFIGURED");
+  if (!credentials) throw new Error("S3_NOT_CONNECTED");
+  return { ...cfg, ...credentials };
+}
+
+// Appended to the endpoint rather than resolved against it, so a path
+// prefix like https://host/s3 survives
+function objectUrl(cfg, key = "") {
+  const path = key ? `/${key.split("/").map(uriEncode).join("/")}` : "";
+  return new URL(`${cfg.endpoint}/${uriEncode(cfg.bucket)}${path}`);
+}
+
+// Settings saved before keys became session-only still hold the secret
+function dropStoredSecrets() {
+  const stored = getS3Config();
+  if ("secretAccessKey" in stored || "accessKeyId" in stored) setS3Config(stored);
+}
+
+function canonicalQuery(params) {
+  return Object.keys(params)
+    .sort()
+    .map(k => `${uriEncode(k)}=${uriEncode(params[k])}`)
+    .join("&");
+}
+
+async function signature(cfg, dateStamp, stringToSign) {
+  let key = await hmac(`AWS4${cfg.secretAccessKey}`, dateStamp);
+  key = await hmac(key, cfg.region || "us-east-1");
+  key = await hmac(key, SERVICE);
+  key = await hmac(key, "aws4_request");
+  return toHex(await hmac(key, stringToSign));
+}
+
+/**
+ * Signs a request with the Authorization header.
+ * Returns { url, headers } ready for fetch/XHR.
+ */
+async function signRequest(cfg, method, url, query = {}) {
+  const { amzDate, dateStamp } = amzDates();
+  const scope = `${dateStamp}/${cfg.region || "us-east-1"}/${SERVICE}/aws4_request`;
+  const headers = { host: url.host, "x-amz-content-sha256": UNSIGNED, "x-amz-date": amzDate };
+  if (cfg.sessionToken) headers["x-amz-security-token"] = cfg.sessionToken;
+  const signedHeaders = Object.keys(headers).sort().join(";");
+
+  const canonical = [
+    method,
+    url.pathname,
+    canonicalQuery(query),
+    Object.keys(headers).sort().map(h => `${h}:${headers[h]}\n`).join(""),
+    signedHeaders,
+    UNSIGNED
+  ].join("\n");
+
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, await sha256Hex(canonical)].join("\n");
+  const sig = await signature(cfg, dateStamp, stringToSign);
+
+  const signedUrl = new URL(url);
+  signedUrl.search = canonicalQuery(query);
+
+  return {
+    url: signedUrl.toString(),
+    headers: {
+      "x-amz-content-sha256": UNSIGNED,
+      "x-amz-date": amzDate,
+      ...(cfg.sessionToken ? { "x-amz-security-token": cfg.sessionToken } : {}),
+      Authorization: `AWS4-HMAC-SHA256 Credential=${cfg.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${sig}`
+    }
+  };
+}
+
+async function presignGet(cfg, key, expires = PRESIGN_SECONDS) {
+  const url = objectUrl(cfg, key);
+  const { amzDate, dateStamp } = amzDates();
+  const scope = `${dateStamp}/${cfg.region || "us-east-1"}/${SERVICE}/aws4_request`;
+  const query = {
+    "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+    "X-Amz-Credential": `${cfg.accessKeyId}/${scope}`,
+    "X-Amz-Date": amzDate,
+    "X-Amz-Expires": String(expires),
+    "X-Amz-SignedHeaders": "host"
+  };
+  if (cfg.sessionToken) query["X-Amz-Security-Token"] = cfg.sessionToken;
+
+  const canonical = ["GET", url.pathname, canonicalQuery(query), `host:${url.host}\n`, "host", UNSIGNED].join("\n");
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, await sha256Hex(canonical)].join("\n");
+  query["X-Amz-Signature"] = await signature(cfg, dateStamp, stringToSign);
+
+  url.search = canonicalQuery(query);
+  return url.toString();
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+/** Saved bucket settings: { endpoint, bucket, region }. */
+export function getS3Config() {
+  try {
+    return JSON.parse(localStorage.getItem(UI.LS.S3) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+export function setS3Config(cfg) {
+  const clean = {
+    endpoint: String(cfg.endpoint || "").trim().replace(/\/+$/, ""),
+    bucket: String(cfg.bucket || "").trim(),
+    region: String(cfg.region || "").trim() || "us-east-1"
+  };
+  localStorage.setItem(UI.LS.S3, JSON.stringify(clean));
+  return clean;
+}
+
+/**
+ * Temporary keys for this tab. All three are needed: long-lived keys
+ * would sit in page memory with no expiry, so they are refused.
+ */
+export function setS3Credentials({ accessKeyId, secretAccessKey, sessionToken } = {}) {
+  const clean = {
+    accessKeyId: String(accessKeyId || "").trim(),
+    secretAccessKey: String(secretAccessKey || "").trim(),
+    sessionToken: String(sessionToken || "").trim()
+  };
+  credentials = clean.accessKeyId && clean.secretAccessKey && clean.sessionToken ? clean : null;
+  return !!credentials;
+}
+
+export function isS3Configured() {
+  try {
+    requireConfig();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PUTs the blob to the bucket. Returns { key, bucket, size }.
+ * options: { onProgress(pct, { bytesTransferred, totalBytes }), onTask(task) }
+ * The task supports cancel only (a single PUT can't be paused).
+ */
+export async function uploadToS3(blob, metadata, { onProgress, onTask } = {}) {
+  const cfg = requireConfig();
+  const format = UI.getContainerInfo(metadata.mimeType || blob.type, blob.name);
+  const who = (metadata.recordingType === "group" && metadata.groupName) ? metadata.groupName : metadata.participant;
+  const safe = (s) => String(s || "").replace(/[^\w\d-]+/g, "_");
+  const key = `${KEY_PREFIX}/${UI.currentUser?.uid || "anon"}/${safe(metadata.classEventTitle) || "class"}/` +
+    `${Date.now()}_${safe(who) || "recording"}.${format.ext}`;
+
+  const { url, headers } = await signRequest(cfg, "PUT", objectUrl(cfg, key));
+
+  await new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("PUT", url);
+    Object.entries(headers).forEach(([k, v]) => xhr.setRequestHeader(k, v));
+    xhr.setRequestHeader("Content-Type", format.contentType);
+
+    xhr.upload.onprogress = (e) => {
+      if (!e.lengthComputable) return;
+      onProgress?.((e.loaded / e.total) * 100, { bytesTransferred: e.loaded, totalBytes: e.total });
+    };
+    xhr.onload = () => (xhr.status >= 200 && xhr.status < 300 ? resolve() : reject(new Error(`S3_HTTP_${xhr.status}`)));
+    xhr.onerror = () => reject(new Error("S3 network error (check the bucket's CORS rules)."));
+    xhr.onabort = () => {
+      const err = new Error("Upload canceled.");
+      err.code = "storage/canceled";
+      reject(err);
+    };
+
+    onTask?.({ pause: () => false, resume: () => false, cancel: () => { xhr.abort(); return true; } });
+    xhr.send(blob);
+  });
+
+  return { key, bucket: cfg.bucket, size: blob.size, contentType: format.contentType };
+}
+
+export async function getS3PlaybackUrl(key) {
+  return presignGet(requireConfig(), key);
+}
+
+export async function deleteS3Object(key) {
+  const cfg = requireConfig();
+  const { url, headers } = await signRequest(cfg, "DELETE", objectUrl(cfg, key));
+  const res = await fetch(url, { method: "DELETE", headers });
+  if (!res.ok && res.status !== 404) throw new Error(`S3_HTTP_${res.status}`);
+}
+
+/** Total bytes under this user's prefix (ListObjectsV2, paged). */
+export async function getS3Usage() {
+  const cfg = requireConfig();
+  const prefix = `${KEY_PREFIX}/${UI.currentUser?.uid || "anon"}/`;
+  let used = 0;
+  let token = null;
+
+  do {
+    const query = { "list-type": "2", prefix };
+    if (token) query["continuation-token"] = token;
+
+    const { url, headers } = await signRequest(cfg, "GET", objectUrl(cfg), query);
+    const res = await fetch(url, { headers });
+    if (!res.ok) throw new Error(`S3_HTTP_${res.status}`);
+
+    const xml = new DOMParser().parseFromString(await res.text(), "application/xml");
+    xml.querySelectorAll("Contents > Size").forEach(n => { used += Number(n.textContent) || 0; });
+    token = xml.querySelector("IsTruncated")?.textContent === "true"
+      ? xml.querySelector("NextContinuationToken")?.textContent
+      : null;
+  } while (token);
+
+  return used;
+}
+
+dropStoredSecrets();
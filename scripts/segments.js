@@ -0,0 +1,222 @@
+/* ========================================================================== */
+/* MODULE: segments.js
+/* Split one long recording (a whole period) into per-student clips.
+/* - Boundaries are dropped in the player (or taken from markers)
+/* - Each range between boundaries can be assigned to a roster student
+/* - Clips are video docs with segmentStart/segmentEnd on the SAME storagePath
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+import { createSegmentClips } from "./firestore.js";
+import { providerForVideo } from "./storage.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const MIN_CLIP_SECONDS = 2;
+
+let sourceVideo = null;    // Video doc open in the player
+let boundaries = [];       // Sorted cut points (media seconds) inside the range
+let assignments = {};      // "start-end" → participant name
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function getPlayer() {
+  return UI.$("#main-player");
+}
+
+// Usable range of the source: its own segment/trim bounds, else the whole file
+function getRange() {
+  const bounds = UI.getPlaybackBounds(sourceVideo);
+  const player = getPlayer();
+  const fallbackEnd = sourceVideo?.mediaDuration || sourceVideo?.duration ||
+    (Number.isFinite(player?.duration) ? player.duration : 0);
+  return { start: bounds.start, end: bounds.end ?? fallbackEnd };
+}
+
+function getIntervals() {
+  const { start, end } = getRange();
+  const cuts = [start, ...boundaries, end];
+  const out = [];
+  for (let i = 0; i < cuts.length - 1; i++) {
+    out.push({ start: cuts[i], end: cuts[i + 1], key: `${cuts[i]}-${cuts[i + 1]}` });
+  }
+  return out;
+}
+
+function addBoundary(time) {
+  const { start, end } = getRange();
+  const t = Math.round(time * 10) / 10;
+
+  if (t <= start + MIN_CLIP_SECONDS || t >= end - MIN_CLIP_SECONDS) return false;
+  if (boundaries.some(b => Math.abs(b - t) < MIN_CLIP_SECONDS)) return false;
+
+  boundaries = [...boundaries, t].sort((a, b) => a - b);
+  return true;
+}
+
+// Keep assignments whose exact interval still exists; new pieces start unassigned
+function pruneAssignments() {
+  const keys = new Set(getIntervals().map(i => i.key));
+  Object.keys(assignments).forEach(k => { if (!keys.has(k)) delete assignments[k]; });
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+function renderSegmentEditor() {
+  const list = UI.$("#segment-list");
+  const createBtn = UI.$("#segment-create-btn");
+  if (!list || !sourceVideo) return;
+
+  const roster = UI.classData?.[sourceVideo.classEventId]?.participants || [];
+  const intervals = getIntervals();
+  list.innerHTML = "";
+
+  intervals.forEach((iv, idx) => {
+    const row = document.createElement("div");
+    row.className = "flex items-center gap-2 p-2 rounded bg-black/20 border border-white/5";
+
+    const opts = [`<option value="">— Skip —</option>`]
+      .concat(roster.map(name =>
+        `<option value="${UI.escapeHtml(name)}" ${assignments[iv.key] === name ? "selected" : ""}>${UI.escapeHtml(name)}</option>`))
+      .join("");
+
+    row.innerHTML = `
+      <button type="button" class="segment-jump font-mono text-[11px] text-primary-300 hover:text-white whitespace-nowrap" title="Play from here">
+        ${UI.formatDuration(iv.start)}–${UI.formatDuration(iv.end)}
+      </button>
+      <select class="segment-student flex-1 min-w-0 rounded bg-black/30 border border-white/10 p-1 text-xs text-white">${opts}</select>
+      ${idx < intervals.length - 1
+        ? `<button type="button" class="segment-merge text-gray-400 hover:text-red-300 text-xs px-1" title="Remove the cut after this clip">✕</button>`
+        : `<span class="w-4"></span>`}
+    `;
+
+    row.querySelector(".segment-jump").onclick = () => {
+      const player = getPlayer();
+      if (!player) return;
+      player.currentTime = iv.start;
+      player.play().catch(() => {});
+    };
+
+    row.querySelector(".segment-student").onchange = (e) => {
+      if (e.target.value) assignments[iv.key] = e.target.value;
+      else delete assignments[iv.key];
+      renderSegmentEditor();
+    };
+
+    const mergeBtn = row.querySelector(".segment-merge");
+    if (mergeBtn) {
+      mergeBtn.onclick = () => {
+        boundaries = boundaries.filter(b => b !== iv.end);
+        pruneAssignments();
+        renderSegmentEditor();
+      };
+    }
+
+    list.appendChild(row);
+  });
+
+  if (!roster.length) {
+    list.insertAdjacentHTML("beforeend",
+      `<p class="text-[11px] text-amber-300">This video's class has no roster, so clips can't be assigned.</p>`);
+  }
+
+  const count = intervals.filter(iv => assignments[iv.key]).length;
+  if (createBtn) {
+    createBtn.disabled = count === 0;
+    createBtn.textContent = `Create ${count} Clip${count === 1 ? "" : "s"}`;
+  }
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+// Called whenever the player opens a library video
+export function setSegmentSource(video) {
+  sourceVideo = video || null;
+  boundaries = [];
+  assignments = {};
+  UI.$("#segment-editor")?.classList.add("hidden");
+}
+
+export function toggleSegmentEditor() {
+  const panel = UI.$("#segment-editor");
+  if (!panel || !sourceVideo) return;
+
+  if (!sourceVideo.storagePath || providerForVideo(sourceVideo).id === "local") {
+    UI.toast("Only cloud videos can be split into clips.", "error");
+    return;
+  }
+
+  panel.classList.toggle("hidden");
+  if (!panel.classList.contains("hidden")) renderSegmentEditor();
+}
+
+export function handleAddBoundary() {
+  const player = getPlayer();
+  if (!player || !sourceVideo) return;
+
+  if (!addBoundary(player.currentTime)) {
+    UI.toast(`Cuts must be at least ${MIN_CLIP_SECONDS}s apart and inside the video.`, "error");
+    return;
+  }
+  pruneAssignments();
+  renderSegmentEditor();
+}
+
+export function handleBoundariesFromMarkers() {
+  const tags = Array.isArray(sourceVideo?.tags) ? sourceVideo.tags : [];
+  const added = tags.filter(t => addBoundary(Number(t.time) || 0)).length;
+
+  if (!added) {
+    UI.toast("No usable markers to turn into cuts.", "info");
+    return;
+  }
+  pruneAssignments();
+  renderSegmentEditor();
+  UI.toast(`Added ${added} cut(s) from markers.`, "success");
+}
+
+export async function handleCreateClips() {
+  if (!sourceVideo) return;
+
+  const clips = getIntervals()
+    .filter(iv => assignments[iv.key])
+    .map(iv => ({ start: iv.start, end: iv.end, participant: assignments[iv.key] }));
+
+  if (!clips.length) return;
+
+  const summary = clips
+    .map(c => `${UI.formatDuration(c.start)}–${UI.formatDuration(c.end)} → ${UI.escapeHtml(c.participant)}`)
+    .join("<br>");
+  if (!await UI.showConfirm(
+    `Create ${clips.length} clip(s)? They share this video file; nothing is re-uploaded.<br><br>${summary}`,
+    "Split Into Clips",
+    "Create"
+  )) return;
+
+  const btn = UI.$("#segment-create-btn");
+  if (btn) {
+    btn.disabled = true;
+    btn.textContent = "Creating...";
+  }
+
+  try {
+    await createSegmentClips(sourceVideo, clips);
+    UI.toast(`Created ${clips.length} clip(s).`, "success");
+    boundaries = [];
+    assignments = {};
+    UI.$("#segment-editor")?.classList.add("hidden");
+  } catch (err) {
+    console.error("[Segments] Create failed:", err);
+    UI.toast(`Could not create clips: ${err.message}`, "error");
+  } finally {
+    renderSegmentEditor();
+  }
+}
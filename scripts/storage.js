@@ -0,0 +1,311 @@
+/* ========================================================================== */
+/* MODULE: storage.js
+/* Storage provider registry. Record, library and delete paths go through
+/* here instead of branching on the provider themselves.
+/* - Each provider: { id, label, playbackHint?, save, getPlaybackUrl, delete, usage }
+/*   save(meta, blob)       → { done? }  (done = background upload promise)
+/*   getPlaybackUrl(video, { file? }) → url, or null if the user backed out
+/*   delete(video)          → removes the stored file (not the Firestore doc)
+/*   usage()                → { usedBytes, limitBytes } or null if unknown
+/*   unattendedDelete       false when delete needs a click or keys that only
+/*                          live for the session (background purges skip it)
+/* - Built in: firebase, local, gdrive, s3
+/* - Existing docs are matched by storageProvider, else by storagePath shape
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+import { saveLocalData, saveProviderData, deleteFirebaseFiles, updateVideo } from "./firestore.js";
+import { startUpload } from "./queue.js";
+import { trackUpload } from "./uploads.js";
+import * as Drive from "./drive.js";
+import * as S3 from "./s3.js";
+import { writeRecording, findRecording, rememberFileHandle } from "./localfolder.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const providers = new Map();   // id → provider
+
+const ERROR_MESSAGES = {
+  DRIVE_NOT_CONFIGURED: "add your Google Drive client ID in Account settings first.",
+  DRIVE_NOT_CONNECTED: "click Connect Google Drive in Account settings first.",
+  DRIVE_EMPTY_FILE: "the recording is empty, so there is nothing to upload.",
+  S3_NOT_CONFIGURED: "add your S3 bucket settings in Account settings first.",
+  S3_NOT_CONNECTED: "enter your temporary S3 keys in Account settings (they are not kept after the tab closes)."
+};
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function recordingFileName(meta, blob) {
+  const who = (meta.recordingType === "group" && meta.groupName) ? meta.groupName : meta.participant;
+  const safeClass = (meta.classEventTitle || "class").replace(/[^\w\d-_]+/g, "_");
+  const safeName = (who || "student").replace(/[^\w\d-_]+/g, "_");
+  const format = UI.getContainerInfo(meta.mimeType || blob.type, blob.name);
+  return { format, name: `${safeClass}_${safeName}_${new Date().toISOString().replace(/[:.]/g, "-")}.${format.ext}` };
+}
+
+// Foreground uploads (Drive, S3) still show in the uploads panel
+async function trackedUpload(meta, blob, label, upload) {
+  const job = trackUpload(`${meta.participant || "Recording"} → ${label}`, blob.size);
+  try {
+    const file = await upload({ onTask: job.onTask, onProgress: job.onProgress });
+    job.finish("done");
+    return file;
+  } catch (err) {
+    job.finish(err.code === "storage/canceled" ? "canceled" : "error");
+    if (err.code === "storage/canceled") throw new Error("CANCELLED");
+    throw err;
+  }
+}
+
+// Remembered folder first, then the save picker, then a plain download.
+// Returns the file name so playback can find it again.
+async function writeLocalFile(meta, blob) {
+  const { format, name } = recordingFileName(meta, blob);
+
+  if (await writeRecording(name, blob)) return name;
+
+  if (window.showSaveFilePicker) {
+    try {
+      const handle = await window.showSaveFilePicker({
+        suggestedName: name,
+        types: [{ accept: { [format.contentType]: [`.${format.ext}`] } }]
+      });
+      const w = await handle.createWritable();
+      await w.write(blob);
+      await w.close();
+      return handle.name;
+    } catch (e) {
+      if (e.name === "AbortError") throw new Error("CANCELLED");
+    }
+  }
+
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  return name;
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+/**
+ * Manual "locate file" picker; must run from a click. Resolves to
+ * { file, handle } (handle is null in browsers without the picker API),
+ * or null if dismissed.
+ */
+export async function pickLocalFile() {
+  if (window.showOpenFilePicker) {
+    try {
+      const [fileHandle] = await window.showOpenFilePicker({
+        types: [{ description: "Video Files", accept: { "video/*": [".webm", ".mp4", ".mov"] } }],
+        multiple: false
+      });
+      return { file: await fileHandle.getFile(), handle: fileHandle };
+    } catch (err) {
+      if (err.name === "AbortError") return null;
+      throw err;
+    }
+  }
+
+  // Fallback for older browsers
+  let input = document.getElementById("hidden-file-input");
+  if (!input) {
+    input = document.createElement("input");
+    input.type = "file";
+    input.id = "hidden-file-input";
+    input.accept = "video/*";
+    input.style.display = "none";
+    document.body.appendChild(input);
+  }
+
+  return new Promise(resolve => {
+    input.value = "";
+    input.onchange = (e) => resolve(e.target.files[0] ? { file: e.target.files[0], handle: null } : null);
+    input.oncancel = () => resolve(null);
+    input.click();
+  });
+}
+
+/** Asks for the file, re-links the doc to its name and remembers the handle. */
+export async function relinkLocalFile(video) {
+  const picked = await pickLocalFile();
+  if (!picked) return null;
+
+  const { file, handle } = picked;
+  if (file.name !== video.localFileName) {
+    await updateVideo(video.id, { localFileName: file.name });
+    video.localFileName = file.name;
+  }
+  await rememberFileHandle(video, handle);
+  return file;
+}
+
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+export function getProvider(id) {
+  const provider = providers.get(id);
+  if (!provider) throw new Error(`Unknown storage provider: ${id}`);
+  return provider;
+}
+
+/** Provider that holds an existing video (older docs have no storageProvider). */
+export function providerForVideo(video) {
+  if (video?.storageProvider && providers.has(video.storageProvider)) return providers.get(video.storageProvider);
+
+  const path = video?.storagePath || "";
+  if (path === "local") return providers.get("local");
+  if (path.startsWith("gdrive/") || video?.driveFileId) return providers.get("gdrive");
+  if (path.startsWith("s3/")) return providers.get("s3");
+  return providers.get("firebase");
+}
+
+/** Readable text for provider errors (setup problems get a hint). */
+export function storageErrorMessage(err) {
+  return ERROR_MESSAGES[err?.message] || err?.message || "Unknown error";
+}
+
+/** Shows the selected provider's usage next to the provider picker. */
+export async function showProviderUsage() {
+  const out = UI.$("#provider-usage");
+  if (!out) return;
+
+  const provider = getProvider(UI.getStorageChoice());
+  out.textContent = "Checking...";
+  try {
+    const usage = await provider.usage();
+    if (!usage) {
+      out.textContent = `${provider.label}: usage not tracked`;
+      return;
+    }
+    const gb = (b) => `${(b / 1e9).toFixed(2)} GB`;
+    out.textContent = `${provider.label}: ${gb(usage.usedBytes)}${usage.limitBytes ? ` / ${gb(usage.limitBytes)}` : " used"}`;
+  } catch (err) {
+    console.warn("[Storage] Usage check failed:", err);
+    out.textContent = `${provider.label}: ${storageErrorMessage(err)}`;
+  }
+}
+
+/* ========================================================================== */
+/* BUILT-IN PROVIDERS
+/* ========================================================================== */
+
+registerProvider({
+  id: "firebase",
+  label: "Firebase",
+  unattendedDelete: true,
+  async save(meta, blob) {
+    meta.id = null;
+    // ☁ Resolves once the blob is safe in IndexedDB; the upload keeps going
+    const { done } = await startUpload(blob, meta);
+    return { done };
+  },
+  async getPlaybackUrl(video) {
+    if (!video.downloadURL) throw new Error("NO_CLOUD_FILE");
+    return video.downloadURL;
+  },
+  delete: (video) => deleteFirebaseFiles(video),
+  async usage() {
+    return {
+      usedBytes: UI.userDoc?.storageUsedBytes || 0,
+      limitBytes: UI.userDoc?.planStorageLimit || null
+    };
+  }
+});
+
+registerProvider({
+  id: "local",
+  label: "Local Device",
+  unattendedDelete: true,
+  async save(meta, blob) {
+    if (!blob) throw new Error("NO_BLOB");
+    meta.localFileName = await writeLocalFile(meta, blob);
+    UI.toast("Syncing data...", "info");
+    await saveLocalData(meta);
+    return {};
+  },
+  // Remembered handle or recordings folder, else the teacher locates it.
+  // The picker opens from the confirm click: earlier awaits used up the
+  // click that started playback
+  async getPlaybackUrl(video, { file } = {}) {
+    file = file || await findRecording(video);
+    if (!file) {
+      const ok = await UI.showConfirm(video.localFileName
+        ? `Couldn't open <strong>${UI.escapeHtml(video.localFileName)}</strong> from your recordings folder. Locate it on this device?`
+        : "This recording is saved on a local device. Locate the video file to play it.",
+        "Locate Video", "Locate File");
+      if (!ok) return null;
+      file = await relinkLocalFile(video);
+    }
+    return file ? URL.createObjectURL(file) : null;
+  },
+  async delete() {
+    // The file stays on the teacher's device
+  },
+  async usage() {
+    return null;
+  }
+});
+
+registerProvider({
+  id: "gdrive",
+  label: "Google Drive",
+  playbackHint: "Loading from Google Drive...",
+  unattendedDelete: false,
+  async save(meta, blob) {
+    if (!blob) throw new Error("NO_BLOB");
+    const file = await trackedUpload(meta, blob, "Drive", opts => Drive.uploadToDrive(blob, meta, opts));
+    await saveProviderData(meta, {
+      storageProvider: "gdrive",
+      storagePath: `gdrive/${file.id}`,
+      driveFileId: file.id,
+      driveFolderId: file.folderId,
+      fileSize: file.size,
+      fileName: file.name
+    });
+    return {};
+  },
+  // Needs the OAuth token, so this streams through the service worker
+  getPlaybackUrl: (video) => Drive.getDrivePlaybackUrl(video.driveFileId),
+  async delete(video) {
+    if (video.driveFileId) await Drive.deleteDriveFile(video.driveFileId);
+  },
+  usage: () => Drive.getDriveUsage()
+});
+
+registerProvider({
+  id: "s3",
+  label: "S3 Bucket",
+  unattendedDelete: false,
+  async save(meta, blob) {
+    if (!blob) throw new Error("NO_BLOB");
+    const file = await trackedUpload(meta, blob, "S3", opts => S3.uploadToS3(blob, meta, opts));
+    await saveProviderData(meta, {
+      storageProvider: "s3",
+      storagePath: `s3/${file.key}`,
+      s3Key: file.key,
+      s3Bucket: file.bucket,
+      fileSize: file.size,
+      fileName: file.key
+    });
+    return {};
+  },
+  getPlaybackUrl: (video) => S3.getS3PlaybackUrl(video.s3Key),
+  async delete(video) {
+    if (video.s3Key) await S3.deleteS3Object(video.s3Key);
+  },
+  async usage() {
+    return { usedBytes: await S3.getS3Usage(), limitBytes: null };
+  }
+});
@@ -0,0 +1,310 @@
+/* ========================================================================== */
+/* MODULE: tags.js
+/* Marker (tag) presets used while recording and reviewing.
+/* - Each preset: name, colour, 1–9 hotkey, optional rubric row link
+/* - Stored per user at artifacts/{appId}/users/{uid}/settings/tagPresets
+/* - Tags copy name/colour at creation, so old markers survive preset edits
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+import * as Rubrics from "./rubrics.js";
+import { cuesToVtt } from "./captions.js";
+import {
+  doc,
+  getDoc,
+  setDoc,
+  serverTimestamp
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+export const DEFAULT_TAG_COLOR = "#005288";
+export const MAX_TAG_PRESETS = 9;
+
+const DEFAULT_PRESETS = [
+  { id: "strong-evidence", name: "Strong evidence", color: "#16a34a", hotkey: 1, rowId: null },
+  { id: "question",        name: "Question",        color: "#2563eb", hotkey: 2, rowId: null },
+  { id: "off-topic",       name: "Off-topic",       color: "#f59e0b", hotkey: 3, rowId: null },
+  { id: "filler-words",    name: "Filler words",    color: "#dc2626", hotkey: 4, rowId: null }
+];
+
+let tagPresets = DEFAULT_PRESETS.map(p => ({ ...p }));
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function presetsDocRef() {
+  return doc(UI.db, `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/settings/tagPresets`);
+}
+
+function newPresetId() {
+  return `tag_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// Read the editor rows back into preset objects (unsaved edits included)
+function readEditorRows() {
+  const rows = [...document.querySelectorAll("#tag-preset-editor [data-preset-id]")];
+  return rows.map(row => ({
+    id: row.dataset.presetId,
+    name: row.querySelector(".tag-preset-name").value.trim(),
+    color: row.querySelector(".tag-preset-color").value || DEFAULT_TAG_COLOR,
+    hotkey: Number(row.querySelector(".tag-preset-hotkey").value) || null,
+    rowId: row.querySelector(".tag-preset-row").value || null
+  }));
+}
+
+function nextFreeHotkey() {
+  const used = new Set(tagPresets.map(p => p.hotkey));
+  for (let k = 1; k <= MAX_TAG_PRESETS; k++) if (!used.has(k)) return k;
+  return null;
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+export function getTagPresets() {
+  return tagPresets;
+}
+
+export function getPresetByHotkey(key) {
+  return tagPresets.find(p => p.hotkey === Number(key)) || null;
+}
+
+export function getPresetById(id) {
+  return tagPresets.find(p => p.id === id) || null;
+}
+
+/**
+ * Builds a tag object from a preset (or a generic marker when preset is null).
+ * Name and colour are copied so the pin looks the same after preset edits.
+ */
+export function buildTag(time, preset = null, note = null) {
+  if (!preset) return { time, note: note || `Tag at ${Math.round(time)}s`, color: DEFAULT_TAG_COLOR };
+  return {
+    time,
+    note: note || preset.name,
+    category: preset.name,
+    presetId: preset.id,
+    color: preset.color || DEFAULT_TAG_COLOR,
+    rowId: preset.rowId || null
+  };
+}
+
+export async function loadTagPresets() {
+  if (!UI.db || !UI.currentUser) return tagPresets;
+
+  try {
+    const snap = await getDoc(presetsDocRef());
+    const saved = snap.exists() ? snap.data().presets : null;
+    tagPresets = Array.isArray(saved) && saved.length
+      ? saved.slice(0, MAX_TAG_PRESETS)
+      : DEFAULT_PRESETS.map(p => ({ ...p }));
+  } catch (err) {
+    console.warn("[Tags] Could not load presets, using defaults:", err);
+  }
+
+  renderTagPresetBar();
+  renderTagPresetEditor();
+  return tagPresets;
+}
+
+export async function saveTagPresets() {
+  if (!UI.db || !UI.currentUser) return;
+
+  const presets = readEditorRows().filter(p => p.name);
+
+  const hotkeys = presets.map(p => p.hotkey).filter(Boolean);
+  if (new Set(hotkeys).size !== hotkeys.length) {
+    UI.toast("Each hotkey can only be used once.", "error");
+    return;
+  }
+
+  try {
+    await setDoc(presetsDocRef(), { presets, updatedAt: serverTimestamp() });
+    tagPresets = presets;
+    renderTagPresetBar();
+    renderTagPresetEditor();
+    UI.toast("Marker presets saved!", "success");
+  } catch (err) {
+    console.error("[Tags] Save failed:", err);
+    UI.toast("Failed to save marker presets.", "error");
+  }
+}
+
+export function addTagPresetRow() {
+  tagPresets = readEditorRows();
+  if (tagPresets.length >= MAX_TAG_PRESETS) {
+    UI.toast(`Up to ${MAX_TAG_PRESETS} presets (one per hotkey).`, "warn");
+    return;
+  }
+  tagPresets = [...tagPresets, { id: newPresetId(), name: "", color: DEFAULT_TAG_COLOR, hotkey: nextFreeHotkey(), rowId: null }];
+  renderTagPresetEditor();
+}
+
+/* ========================================================================== */
+/* EXPORTS (chapters + CSV)
+/* ========================================================================== */
+
+const MARKER_CSV_HEADER = ["Participant", "Class", "Recorded", "Time", "Seconds", "Note", "Type", "Category"];
+
+/**
+ * One CSV cell. Text starting with = + - @ gets a leading ' so spreadsheet
+ * apps show it instead of running it as a formula.
+ */
+export function csvCell(value) {
+  let s = String(value ?? "");
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function recordedDate(video) {
+  const d = video?.recordedAt?.toDate ? video.recordedAt.toDate() : (video?.recordedAt ? new Date(video.recordedAt) : null);
+  return d && !isNaN(d) ? d.toISOString().slice(0, 10) : "";
+}
+
+// Markers inside the video's playable range, in time order
+function tagsInRange(tags, start = 0, end = null) {
+  return (Array.isArray(tags) ? tags : [])
+    .filter(t => Number.isFinite(Number(t.time)) && t.time >= start && (end == null || t.time <= end))
+    .sort((a, b) => a.time - b.time);
+}
+
+// "Class_Student_2025-03-01", safe for a download name
+export function markerFileBase(video) {
+  const name = (video?.isGroup && video?.groupName) ? video.groupName : video?.participant;
+  return [video?.classEventTitle || "class", name || "student", recordedDate(video)]
+    .filter(Boolean)
+    .join("_")
+    .replace(/[^\w\d-]+/g, "_");
+}
+
+// Cue text is one line of WebVTT markup: a blank line or "-->" would end the
+// cue early, and & < > would be read as entities and tags
+function chapterTitle(text) {
+  const line = String(text || "").replace(/\s*[\r\n]+\s*/g, " ").trim() || "Marker";
+  return line.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+}
+
+/**
+ * WebVTT chapters: each marker runs until the next one (or the end).
+ * Times are on the media file's timeline so they line up with the download.
+ * Returns null when there are no markers in range.
+ */
+export function buildChaptersVtt(tags, { start = 0, end = null } = {}) {
+  const list = tagsInRange(tags, start, end);
+  if (!list.length) return null;
+
+  const cues = [];
+  if (list[0].time - start >= 1) cues.push({ start, end: list[0].time, text: "Start" });
+
+  list.forEach((tag, i) => {
+    // Unknown length: give the last chapter a minute
+    const chapterEnd = list[i + 1]?.time ?? end ?? tag.time + 60;
+    if (chapterEnd > tag.time) cues.push({ start: tag.time, end: chapterEnd, text: chapterTitle(tag.note || tag.category) });
+  });
+
+  return cues.length ? cuesToVtt(cues) : null;
+}
+
+/**
+ * One CSV for any number of videos (one row per marker).
+ * videos: library docs; each uses its own segment/trim bounds.
+ */
+export function buildMarkerCsv(videos) {
+  const lines = [MARKER_CSV_HEADER.join(",")];
+
+  videos.forEach(v => {
+    const bounds = UI.getPlaybackBounds(v);
+    const name = (v.isGroup && v.groupName) ? v.groupName : v.participant;
+    tagsInRange(v.tags, bounds.start, bounds.end).forEach(t => {
+      lines.push([
+        name || "", v.classEventTitle || "", recordedDate(v),
+        UI.formatDuration(t.time), Math.round(t.time * 10) / 10,
+        t.note || "", t.type || "live", t.category || ""
+      ].map(csvCell).join(","));
+    });
+  });
+
+  return lines.length > 1 ? lines.join("\n") + "\n" : null;
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+// Record tab: clickable chips that mirror the 1–9 hotkeys
+export function renderTagPresetBar() {
+  const bar = UI.$("#tag-preset-bar");
+  if (!bar) return;
+
+  bar.innerHTML = "";
+  [...tagPresets]
+    .sort((a, b) => (a.hotkey || 99) - (b.hotkey || 99))
+    .forEach(p => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.dataset.presetId = p.id;
+      btn.className = "tag-preset-chip flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs text-white border border-white/10 bg-white/5 hover:bg-white/10 disabled:opacity-40 disabled:cursor-not-allowed transition-colors";
+      btn.innerHTML = `
+        <span class="w-2.5 h-2.5 rounded-full" style="background-color: ${UI.escapeHtml(p.color)}"></span>
+        ${p.hotkey ? `<kbd class="font-mono text-[10px] text-gray-400">${p.hotkey}</kbd>` : ""}
+        <span>${UI.escapeHtml(p.name)}</span>
+      `;
+      bar.appendChild(btn);
+    });
+}
+
+// Manage tab: editable list of presets
+export async function renderTagPresetEditor() {
+  const container = UI.$("#tag-preset-editor");
+  if (!container) return;
+
+  if (!(Rubrics.getAllRubrics?.() || []).length) {
+    await Rubrics.loadSavedRubrics();
+  }
+
+  const rowOptions = (Rubrics.getAllRubrics?.() || []).flatMap(r =>
+    (r.rows || []).map(row => ({ id: row.id, label: `${r.title} › ${row.label}` }))
+  );
+
+  container.innerHTML = "";
+
+  if (tagPresets.length === 0) {
+    container.innerHTML = `<p class="text-xs text-gray-500 italic">No presets. Add one below.</p>`;
+    return;
+  }
+
+  tagPresets.forEach(p => {
+    const row = document.createElement("div");
+    row.dataset.presetId = p.id;
+    row.className = "flex flex-wrap items-center gap-2 p-2 rounded-lg bg-black/20 border border-white/5";
+
+    const hotkeyOpts = [`<option value="">—</option>`]
+      .concat(Array.from({ length: MAX_TAG_PRESETS }, (_, i) => i + 1)
+        .map(k => `<option value="${k}" ${p.hotkey === k ? "selected" : ""}>${k}</option>`))
+      .join("");
+
+    const rubricOpts = [`<option value="">No rubric link</option>`]
+      .concat(rowOptions.map(o => `<option value="${UI.escapeHtml(o.id)}" ${p.rowId === o.id ? "selected" : ""}>${UI.escapeHtml(o.label)}</option>`))
+      .join("");
+
+    row.innerHTML = `
+      <input type="color" class="tag-preset-color w-8 h-8 rounded bg-transparent border-0 cursor-pointer" value="${UI.escapeHtml(p.color || DEFAULT_TAG_COLOR)}" title="Colour">
+      <input type="text" class="tag-preset-name flex-1 min-w-[140px] rounded bg-black/30 border border-white/10 p-1.5 text-sm text-white focus:outline-none focus:border-[#0033A0]" placeholder="Preset name" value="${UI.escapeHtml(p.name)}">
+      <select class="tag-preset-hotkey rounded bg-black/30 border border-white/10 p-1.5 text-sm text-white" title="Hotkey">${hotkeyOpts}</select>
+      <select class="tag-preset-row max-w-[200px] rounded bg-black/30 border border-white/10 p-1.5 text-xs text-white" title="Linked rubric row">${rubricOpts}</select>
+      <button type="button" class="tag-preset-remove text-red-400 hover:text-red-300 text-sm px-2" title="Remove">✕</button>
+    `;
+
+    row.querySelector(".tag-preset-remove").onclick = () => {
+      tagPresets = readEditorRows().filter(x => x.id !== p.id);
+      renderTagPresetEditor();
+    };
+
+    container.appendChild(row);
+  });
+}
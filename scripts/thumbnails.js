@@ -0,0 +1,148 @@
+/* ========================================================================== */
+/* MODULE: thumbnails.js
+/* Poster frame + hover-scrub sprite for library cards.
+/* - Poster: one JPEG at the user's offset, measured from trimStart
+/* - Scrub: SCRUB_FRAMES frames side by side in one JPEG across the kept range
+/* - Best-effort: on any failure the card just keeps its letter avatar
+/* ========================================================================== */
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+export const SCRUB_FRAMES = 8;
+const POSTER_WIDTH = 480;
+const SCRUB_FRAME_WIDTH = 160;
+const JPEG_QUALITY = 0.75;
+const LOAD_TIMEOUT_MS = 8000;
+const SEEK_TIMEOUT_MS = 4000;
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function withTimeout(promise, ms, code) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(code)), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+function loadVideo(url) {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+
+  const ready = new Promise((resolve, reject) => {
+    video.onloadeddata = () => resolve(video);
+    video.onerror = () => reject(new Error("THUMB_LOAD_FAILED"));
+  });
+  video.src = url;
+
+  return withTimeout(ready, LOAD_TIMEOUT_MS, "THUMB_LOAD_TIMEOUT");
+}
+
+function seekTo(video, time) {
+  const seeked = new Promise(resolve => {
+    video.onseeked = () => resolve();
+  });
+  video.currentTime = Math.max(0, time);
+  return withTimeout(seeked, SEEK_TIMEOUT_MS, "THUMB_SEEK_TIMEOUT");
+}
+
+function canvasToJpeg(canvas) {
+  return new Promise(resolve => canvas.toBlob(resolve, "image/jpeg", JPEG_QUALITY));
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+/**
+ * Captures { poster, scrub } JPEG blobs (either may be null).
+ * opts: { duration, trimStart, trimEnd, offset }
+ */
+export async function captureThumbnails(blob, opts = {}) {
+  const url = URL.createObjectURL(blob);
+  let video;
+
+  try {
+    video = await loadVideo(url);
+
+    // MediaRecorder WebM can report Infinity; prefer the length we already know
+    const duration = Number(opts.duration) ||
+      (Number.isFinite(video.duration) ? video.duration : 0);
+    const start = Math.max(0, Number(opts.trimStart) || 0);
+    const end = Math.max(start, opts.trimEnd != null ? Number(opts.trimEnd) : duration);
+    const span = end - start;
+
+    const vw = video.videoWidth || 16;
+    const vh = video.videoHeight || 9;
+
+    // 1. Poster
+    const posterAt = span > 0 ? Math.min(start + (Number(opts.offset) || 0), end - 0.1) : 0;
+    await seekTo(video, posterAt);
+
+    const posterCanvas = document.createElement("canvas");
+    posterCanvas.width = Math.min(POSTER_WIDTH, vw);
+    posterCanvas.height = Math.round(posterCanvas.width * vh / vw);
+    posterCanvas.getContext("2d").drawImage(video, 0, 0, posterCanvas.width, posterCanvas.height);
+    const poster = await canvasToJpeg(posterCanvas);
+
+    // 2. Scrub sprite (skip for clips too short to be worth it)
+    let scrub = null;
+    if (span >= SCRUB_FRAMES) {
+      const fw = Math.min(SCRUB_FRAME_WIDTH, vw);
+      const fh = Math.round(fw * vh / vw);
+      const sprite = document.createElement("canvas");
+      sprite.width = fw * SCRUB_FRAMES;
+      sprite.height = fh;
+      const ctx = sprite.getContext("2d");
+
+      for (let i = 0; i < SCRUB_FRAMES; i++) {
+        await seekTo(video, start + span * (i + 0.5) / SCRUB_FRAMES);
+        ctx.drawImage(video, i * fw, 0, fw, fh);
+      }
+      scrub = await canvasToJpeg(sprite);
+    }
+
+    return { poster, scrub };
+  } catch (err) {
+    console.warn("[Thumbnails] Capture failed:", err);
+    return { poster: null, scrub: null };
+  } finally {
+    if (video) {
+      video.removeAttribute("src");
+      video.load();
+    }
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Wires the hover scrub on a library card thumbnail. Expects
+ * data-poster-url, data-scrub-url and data-scrub-frames on the element.
+ */
+export function bindScrubPreview(el) {
+  const { posterUrl, scrubUrl } = el.dataset;
+  const frames = Number(el.dataset.scrubFrames) || SCRUB_FRAMES;
+  if (!scrubUrl) return;
+
+  el.onmousemove = (e) => {
+    const rect = el.getBoundingClientRect();
+    const pct = Math.min(0.999, Math.max(0, (e.clientX - rect.left) / rect.width));
+    const idx = Math.floor(pct * frames);
+
+    el.style.backgroundImage = `url("${scrubUrl}")`;
+    el.style.backgroundSize = `${frames * 100}% 100%`;
+    el.style.backgroundPosition = `${frames > 1 ? (idx / (frames - 1)) * 100 : 0}% 0`;
+  };
+
+  el.onmouseleave = () => {
+    el.style.backgroundImage = posterUrl ? `url("${posterUrl}")` : "";
+    el.style.backgroundSize = "cover";
+    el.style.backgroundPosition = "center";
+  };
+}
@@ -0,0 +1,340 @@
+/* ========================================================================== */
+/* MODULE: trash.js
+/* Recycle bin for videos and rubrics.
+/* - Deleting moves the whole doc into users/{uid}/trash (scores, tags and
+/*   all), so restoring puts it back under the same id
+/* - Stored files stay until the item is purged; the purge keeps any file
+/*   another scorecard (live or trashed) still uses. If the provider can't
+/*   delete the file, the item stays in the Trash so nothing is orphaned
+/* - Items older than the keep window (default 30 days, saved on the
+/*   users/{uid} profile) purge after login, except files on providers that
+/*   need a sign-in click or session keys (Drive, S3)
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+import { providerForVideo, listProviders } from "./storage.js";
+import { loadLibrary, deleteVideoTranscript } from "./firestore.js";
+import { loadSavedRubrics } from "./rubrics.js";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  writeBatch,
+  deleteDoc,
+  serverTimestamp
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const DEFAULT_KEEP_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEGACY_DAYS_KEY = "sc/trashDays";   // Per-device setting before it moved to the profile
+
+// Trash item kind → collection it came from
+const SOURCES = { video: "videos", rubric: "rubrics" };
+
+let trashItems = [];   // [{ id, kind, originalId, data, deletedAt }]
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function userPath(sub) {
+  return `artifacts/${UI.getAppId()}/users/${UI.currentUser.uid}/${sub}`;
+}
+
+function deletedAtMs(item) {
+  return item.deletedAt?.toMillis?.() ?? Date.now(); // Pending server timestamp = just now
+}
+
+function itemLabel(item) {
+  if (item.kind === "rubric") return item.data.title || "Untitled Rubric";
+  const who = item.data.groupName || item.data.participant || "Recording";
+  return item.data.classEventTitle ? `${who} · ${item.data.classEventTitle}` : who;
+}
+
+function validDays(value) {
+  const days = parseInt(value, 10);
+  return days > 0 ? days : null;
+}
+
+// Read fresh at login: the profile snapshot may not have arrived yet, and
+// purging on the default window could delete items the teacher kept longer
+async function loadTrashKeepDays() {
+  const snap = await getDoc(doc(UI.db, "users", UI.currentUser.uid));
+  const saved = validDays(snap.data()?.trashKeepDays);
+  if (saved) return saved;
+
+  const legacy = validDays(localStorage.getItem(LEGACY_DAYS_KEY));
+  if (legacy) {
+    await setDoc(doc(UI.db, "users", UI.currentUser.uid), { trashKeepDays: legacy }, { merge: true });
+    localStorage.removeItem(LEGACY_DAYS_KEY);
+  }
+  return legacy || DEFAULT_KEEP_DAYS;
+}
+
+// Background purges can't sign in to Drive or supply S3 keys, and a
+// provider this build doesn't know can't be trusted to delete
+function canPurgeUnattended(item) {
+  if (item.kind !== "video") return true;
+  const id = item.data.storageProvider;
+  if (id && !listProviders().some(p => p.id === id)) return false;
+  return providerForVideo(item.data).unattendedDelete !== false;
+}
+
+async function refreshItems() {
+  const snap = await getDocs(collection(UI.db, userPath("trash")));
+  trashItems = snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => deletedAtMs(b) - deletedAtMs(a));
+  return trashItems;
+}
+
+async function moveToTrash(kind, id, data) {
+  const batch = writeBatch(UI.db);
+  batch.set(doc(collection(UI.db, userPath("trash"))), {
+    kind,
+    originalId: id,
+    data,
+    deletedAt: serverTimestamp()
+  });
+  batch.delete(doc(UI.db, userPath(SOURCES[kind]), id));
+  await batch.commit();
+}
+
+/**
+ * Removes the stored file unless another scorecard (in the library or still
+ * in the trash) points at the same storagePath. Returns "deleted" | "shared".
+ */
+async function purgeVideoFile(item) {
+  const video = item.data;
+  if (!video.storagePath) return "deleted";
+
+  const liveSnap = await getDocs(collection(UI.db, userPath("videos")));
+  const sharedLive = liveSnap.docs.some(d => d.data().storagePath === video.storagePath);
+  const sharedTrash = trashItems.some(t =>
+    t.id !== item.id && t.kind === "video" && t.data.storagePath === video.storagePath
+  );
+  if (sharedLive || sharedTrash) return "shared";
+
+  await providerForVideo(video).delete(video);
+  return "deleted";
+}
+
+/** Returns "deleted" | "shared" | "failed" (null for rubrics); "failed" keeps the item. */
+async function purgeItem(item) {
+  let file = null;
+  if (item.kind === "video") {
+    try {
+      file = await purgeVideoFile(item);
+    } catch (err) {
+      console.warn("[Trash] File delete error:", err);
+      return "failed";
+    }
+  }
+  await deleteDoc(doc(UI.db, userPath("trash"), item.id));
+  trashItems = trashItems.filter(t => t.id !== item.id);
+
+  // The transcript stays under the original id until the purge
+  if (item.kind === "video" && item.data.captions?.cueCount) {
+    await deleteVideoTranscript(item.originalId).catch(err =>
+      console.warn("[Trash] Transcript delete error:", err));
+  }
+  return file;
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+export function getTrashKeepDays() {
+  return validDays(UI.userDoc?.trashKeepDays) || validDays(localStorage.getItem(LEGACY_DAYS_KEY)) || DEFAULT_KEEP_DAYS;
+}
+
+export async function setTrashKeepDays(value) {
+  const days = validDays(value);
+  if (!days) {
+    UI.toast("Enter a number of days (1 or more).", "error");
+    return;
+  }
+
+  try {
+    await setDoc(doc(UI.db, "users", UI.currentUser.uid), { trashKeepDays: days }, { merge: true });
+    if (UI.userDoc) UI.userDoc.trashKeepDays = days; // Don't wait for the snapshot to re-render
+    localStorage.removeItem(LEGACY_DAYS_KEY);
+    renderTrashPanel();
+    UI.toast(`Deleted items are kept for ${days} day(s).`, "success");
+  } catch (err) {
+    console.error("[Trash] Keep window save failed:", err);
+    UI.toast("Could not save the keep window.", "error");
+  }
+}
+
+export function moveVideoToTrash(video) {
+  const { id, ...data } = video;
+  return moveToTrash("video", id, data);
+}
+
+export function moveRubricToTrash(rubric) {
+  const { id, ...data } = rubric;
+  return moveToTrash("rubric", id, data);
+}
+
+/** Trashed videos (for storage accounting and shared-file checks elsewhere). */
+export async function getTrashedVideos() {
+  const snap = await getDocs(collection(UI.db, userPath("trash")));
+  return snap.docs
+    .map(d => ({ trashId: d.id, ...d.data() }))
+    .filter(t => t.kind === "video")
+    .map(t => ({ ...t.data, id: t.originalId, trashId: t.trashId }));
+}
+
+export async function restoreTrashItem(trashId) {
+  const item = trashItems.find(t => t.id === trashId);
+  if (!item) return;
+
+  try {
+    const batch = writeBatch(UI.db);
+    batch.set(doc(UI.db, userPath(SOURCES[item.kind]), item.originalId), item.data);
+    batch.delete(doc(UI.db, userPath("trash"), item.id));
+    await batch.commit();
+    trashItems = trashItems.filter(t => t.id !== item.id);
+
+    UI.toast(`Restored "${itemLabel(item)}".`, "success");
+    renderTrashPanel();
+    if (item.kind === "video") await loadLibrary();
+    else await loadSavedRubrics();
+  } catch (err) {
+    console.error("[Trash] Restore failed:", err);
+    UI.toast("Could not restore this item.", "error");
+  }
+}
+
+export async function deleteTrashItemForever(trashId) {
+  const item = trashItems.find(t => t.id === trashId);
+  if (!item) return;
+
+  if (!await UI.showConfirm(
+    `Permanently delete <strong>${UI.escapeHtml(itemLabel(item))}</strong>? This cannot be undone.`,
+    "Delete Forever",
+    "Delete"
+  )) return;
+
+  try {
+    const file = await purgeItem(item);
+    if (file === "shared") UI.toast("Deleted. The video file is still used by other scorecards, so it was kept.", "info");
+    else if (file === "failed") UI.toast(`The video file could not be removed from ${providerForVideo(item.data).label}, so it stays in the Trash. Try again later.`, "error");
+    else UI.toast("Deleted permanently.", "success");
+  } catch (err) {
+    console.error("[Trash] Delete failed:", err);
+    UI.toast("Delete failed.", "error");
+  }
+  renderTrashPanel();
+}
+
+export async function emptyTrash() {
+  if (!trashItems.length) return;
+  if (!await UI.showConfirm(
+    `Permanently delete all ${trashItems.length} item(s) in the Trash? This cannot be undone.`,
+    "Empty Trash",
+    "Empty Trash"
+  )) return;
+
+  let kept = 0;
+  for (const item of [...trashItems]) {
+    const file = await purgeItem(item).catch(err => {
+      console.warn("[Trash] Purge failed:", err);
+      return "failed";
+    });
+    if (file === "failed") kept++;
+  }
+  if (kept) UI.toast(`${kept} item(s) could not be deleted (their files couldn't be removed) and stay in the Trash.`, "error");
+  else UI.toast("Trash emptied.", "success");
+  renderTrashPanel();
+}
+
+/** Purges items older than the keep window. Runs quietly after login. */
+export async function purgeExpiredTrash() {
+  if (!UI.db || !UI.currentUser) return;
+
+  try {
+    const [days] = await Promise.all([loadTrashKeepDays(), refreshItems()]);
+    const cutoff = Date.now() - days * DAY_MS;
+    const expired = trashItems.filter(t => deletedAtMs(t) < cutoff && canPurgeUnattended(t));
+
+    for (const item of expired) {
+      await purgeItem(item).catch(err => console.warn("[Trash] Purge failed:", err));
+    }
+  } catch (err) {
+    console.warn("[Trash] Expired purge failed:", err);
+  }
+}
+
+export async function openTrash() {
+  const input = UI.$("#trash-keep-days");
+  if (input) input.value = getTrashKeepDays();
+
+  UI.$("#trash-screen")?.showModal();
+  const list = UI.$("#trash-list");
+  if (list) list.innerHTML = '<p class="text-sm text-gray-500 italic text-center py-4">Loading…</p>';
+
+  try {
+    await refreshItems();
+    renderTrashPanel();
+  } catch (err) {
+    console.error("[Trash] Load failed:", err);
+    if (list) list.innerHTML = '<p class="text-sm text-red-400 text-center py-4">Failed to load the Trash.</p>';
+  }
+}
+
+export function closeTrash() {
+  UI.$("#trash-screen")?.close();
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+export function renderTrashPanel() {
+  const list = UI.$("#trash-list");
+  if (!list) return;
+
+  const emptyBtn = UI.$("#trash-empty-btn");
+  if (emptyBtn) emptyBtn.disabled = trashItems.length === 0;
+
+  if (!trashItems.length) {
+    list.innerHTML = '<p class="text-sm text-gray-500 italic text-center py-4">The Trash is empty.</p>';
+    return;
+  }
+
+  const keepMs = getTrashKeepDays() * DAY_MS;
+  list.innerHTML = "";
+
+  trashItems.forEach(item => {
+    const daysLeft = Math.max(0, Math.ceil((deletedAtMs(item) + keepMs - Date.now()) / DAY_MS));
+    const deleted = new Date(deletedAtMs(item)).toLocaleDateString();
+    const detail = item.kind === "video"
+      ? [item.data.hasScore ? `${item.data.totalScore} pts` : "Not scored", `${(item.data.tags || []).length} marker(s)`].join(" · ")
+      : `${item.data.rowCount || item.data.rows?.length || 0} rows`;
+
+    const row = document.createElement("div");
+    row.className = "flex items-center gap-3 p-3 rounded-lg bg-white/5 border border-white/10";
+    row.innerHTML = `
+      <span class="text-lg">${item.kind === "video" ? "🎬" : "📋"}</span>
+      <div class="flex-1 min-w-0">
+        <div class="font-semibold text-white truncate">${UI.escapeHtml(itemLabel(item))}</div>
+        <div class="text-xs text-gray-400">${UI.escapeHtml(detail)} · Deleted ${UI.escapeHtml(deleted)} · ${daysLeft} day(s) left</div>
+      </div>
+      <button type="button" class="trash-restore text-xs px-2 py-1 rounded bg-[#0033A0] hover:bg-[#004db3] text-white">Restore</button>
+      <button type="button" class="trash-delete text-xs px-2 py-1 rounded bg-white/5 hover:bg-red-500/30 text-gray-300">Delete Forever</button>
+    `;
+
+    row.querySelector(".trash-restore").onclick = () => restoreTrashItem(item.id);
+    row.querySelector(".trash-delete").onclick = () => deleteTrashItemForever(item.id);
+    list.appendChild(row);
+  });
+}
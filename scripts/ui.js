@@ -4,6 +4,9 @@
 /* ========================================================================== */
 import * as Record from "./record.js";
 import * as Rubrics from "./rubrics.js"; 
+import * as Segments from "./segments.js";
+import * as Captions from "./captions.js";
+import * as Storage from "./storage.js";
 // Ensure Firestore functions are available
 import { doc, getDoc } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 import { cancelAddClass } from "./record.js";
@@ -11,9 +14,40 @@ import { cancelAddClass } from "./record.js";
 /* -------------------------------------------------------------------------- */
 /* Constants
 /* -------------------------------------------------------------------------- */
-export const LS = { CFG: "sc/firebaseConfig", APP: "sc/appId", STORE: "sc/storageChoice" };
+export const LS = { CFG: "sc/firebaseConfig", APP: "sc/appId", STORE: "sc/storageChoice", DEVICES: "sc/devicePrefs", QUALITY: "sc/qualityPreset", POSTER: "sc/posterOffset", DRIVE_CLIENT: "sc/driveClientId", DRIVE_API: "sc/driveApiBase", S3: "sc/s3Config" };
 export const IDB_NAME = "seminar-cloud";
 export const IDB_STORE = "pendingUploads";
+export const IDB_SESSION_STORE = "recordingSessions"; // Crash-safe recording sessions
+export const IDB_CHUNK_STORE = "recordingChunks";     // MediaRecorder chunks per session
+export const IDB_HANDLE_STORE = "fileHandles";        // File System Access handles (recordings folder)
+export const IDB_VERSION = 3;
+
+// Recording quality presets: getUserMedia targets + MediaRecorder bitrates
+export const QUALITY_PRESETS = {
+  low:      { label: "Low (480p)",      width: 854,  height: 480,  frameRate: 24, videoBitsPerSecond: 1_000_000, audioBitsPerSecond: 96_000 },
+  standard: { label: "Standard (720p)", width: 1280, height: 720,  frameRate: 30, videoBitsPerSecond: 2_500_000, audioBitsPerSecond: 128_000 },
+  high:     { label: "High (1080p)",    width: 1920, height: 1080, frameRate: 30, videoBitsPerSecond: 5_000_000, audioBitsPerSecond: 128_000 }
+};
+
+// MediaRecorder formats in order of preference (WebM for Chromium/Firefox, MP4 for Safari/iPad)
+export const RECORDING_MIME_TYPES = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+  "video/mp4;codecs=avc1.42E01E,mp4a.40.2",
+  "video/mp4;codecs=avc1,mp4a",
+  "video/mp4;codecs=h264,aac",
+  "video/mp4"
+];
+
+// Container → file extension + Storage content type
+export const VIDEO_CONTAINERS = {
+  "video/webm":      { ext: "webm", label: "WebM" },
+  "video/mp4":       { ext: "mp4",  label: "MP4" },
+  "video/quicktime": { ext: "mov",  label: "QuickTime (MOV)" },
+  "video/x-m4v":     { ext: "m4v",  label: "M4V" },
+  "video/x-matroska":{ ext: "mkv",  label: "Matroska (MKV)" }
+};
 
 /* -------------------------------------------------------------------------- */
 /* Shared State
@@ -29,6 +63,8 @@ export let currentRecordingBlob = null;
 export let timerInterval = null;
 export let secondsElapsed = 0;
 export let currentFacingMode = "environment";
+export let recordMode = "camera";      // "camera" | "screen" (Screen + Presenter)
+export let pipCorner = "br";           // Presenter PiP corner: tl | tr | bl | br
 
 // Setters for state
 export function setFirebase(a, au, d, s) { app = a; auth = au; db = d; storage = s; }
@@ -42,9 +78,181 @@ export function setCurrentRecordingBlob(b) { currentRecordingBlob = b; }
 export function setTimerInterval(i) { timerInterval = i; }
 export function setSecondsElapsed(s) { secondsElapsed = s; }
 export function setCurrentFacingMode(m) { currentFacingMode = m; }
+export function setRecordMode(m) { recordMode = m; }
+export function setPipCorner(c) { pipCorner = c; }
+
+/* -------------------------------------------------------------- */
+/* IndexedDB (single opener so every module agrees on the schema) */
+/* -------------------------------------------------------------- */
+let appDB = null;   // Promise of the one shared connection
+
+// One connection for the page. It closes when another tab needs to upgrade
+// the schema (so that tab isn't blocked) and is reopened on next use.
+export function openAppDB() {
+  if (appDB) return appDB;
+
+  appDB = new Promise((resolve, reject) => {
+    if (!window.indexedDB) return reject(new Error("NO_INDEXEDDB"));
+    let blocked = false;
+
+    const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+
+    request.onupgradeneeded = (e) => {
+      const db = e.target.result;
+      if (!db.objectStoreNames.contains(IDB_STORE)) {
+        db.createObjectStore(IDB_STORE, { autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(IDB_SESSION_STORE)) {
+        db.createObjectStore(IDB_SESSION_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(IDB_CHUNK_STORE)) {
+        const chunks = db.createObjectStore(IDB_CHUNK_STORE, { autoIncrement: true });
+        chunks.createIndex("sessionId", "sessionId", { unique: false });
+      }
+      if (!db.objectStoreNames.contains(IDB_HANDLE_STORE)) {
+        db.createObjectStore(IDB_HANDLE_STORE);
+      }
+    };
+
+    // An older tab still holds the previous version open
+    request.onblocked = () => {
+      blocked = true;
+      reject(new Error("IDB_BLOCKED"));
+    };
+
+    request.onsuccess = (e) => {
+      const db = e.target.result;
+      if (blocked) {
+        db.close(); // Opened late; callers already gave up on it
+        return;
+      }
+      db.onversionchange = () => {
+        db.close();
+        appDB = null;
+      };
+      db.onclose = () => { appDB = null; };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  }).catch(err => {
+    appDB = null;
+    throw err;
+  });
+  return appDB;
+}
+
+// Promise wrapper for a single IDBRequest
+export function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/* -------------------------------------------------------------- */
+/* Quality Preset (low | standard | high)                         */
+/* -------------------------------------------------------------- */
+export function getQualityPresetKey() {
+  const key = localStorage.getItem(LS.QUALITY);
+  return QUALITY_PRESETS[key] ? key : "standard";
+}
+export function getQualityPreset() {
+  return QUALITY_PRESETS[getQualityPresetKey()];
+}
+export function setQualityPreset(key) {
+  if (!QUALITY_PRESETS[key]) return;
+  localStorage.setItem(LS.QUALITY, key);
+
+  const sel = $("#quality-preset-select");
+  if (sel) sel.value = key;
+  updateQualityEstimate();
+}
+
+// Estimated MB/min for the preset, plus minutes left when saving to Firebase
+// under a finite quota (the other providers have no quota we track)
+export function updateQualityEstimate() {
+  const el = $("#quality-estimate");
+  if (!el) return;
+
+  const preset = getQualityPreset();
+  const bytesPerMin = (preset.videoBitsPerSecond + preset.audioBitsPerSecond) / 8 * 60;
+  const rate = `≈ ${(bytesPerMin / 1e6).toFixed(1)} MB/min`;
+  const limit = userDoc.planStorageLimit;
+
+  if (getStorageChoice() !== "firebase" || !Number.isFinite(limit)) {
+    el.textContent = rate;
+    el.classList.remove("text-amber-400");
+    el.classList.add("text-gray-500");
+    return;
+  }
+
+  const remaining = Math.max(0, (limit || 0) - (userDoc.storageUsedBytes || 0));
+  const minutesLeft = Math.floor(remaining / bytesPerMin);
+
+  el.textContent = `${rate} • ~${minutesLeft} min left in cloud storage`;
+  el.classList.toggle("text-amber-400", minutesLeft < 15);
+  el.classList.toggle("text-gray-500", minutesLeft >= 15);
+}
+
+/* -------------------------------------------------------------- */
+/* Poster Frame Offset (seconds after trimStart)                  */
+/* -------------------------------------------------------------- */
+export function getPosterOffset() {
+  const v = Number(localStorage.getItem(LS.POSTER));
+  return Number.isFinite(v) && v >= 0 ? v : 5;
+}
+export function setPosterOffset(seconds) {
+  const v = Math.max(0, Number(seconds) || 0);
+  localStorage.setItem(LS.POSTER, String(v));
+
+  const sel = $("#poster-offset-select");
+  if (sel) sel.value = String(v);
+}
+
+/* -------------------------------------------------------------- */
+/* Video Formats (codec negotiation + container info)             */
+/* -------------------------------------------------------------- */
+
+// First recording format this browser supports ("" = let the browser choose)
+export function pickRecordingMimeType() {
+  if (typeof MediaRecorder === "undefined" || !MediaRecorder.isTypeSupported) return "";
+  return RECORDING_MIME_TYPES.find(t => MediaRecorder.isTypeSupported(t)) || "";
+}
+
+/**
+ * Resolves a MIME type (may include codecs) and/or filename to
+ * { mimeType, contentType, ext, label }. Falls back to WebM.
+ */
+export function getContainerInfo(mimeType = "", fileName = "") {
+  let contentType = String(mimeType || "").split(";")[0].trim().toLowerCase();
+
+  if (!VIDEO_CONTAINERS[contentType]) {
+    const ext = String(fileName || "").split(".").pop().toLowerCase();
+    contentType = Object.keys(VIDEO_CONTAINERS).find(k => VIDEO_CONTAINERS[k].ext === ext) || "video/webm";
+  }
+
+  const info = VIDEO_CONTAINERS[contentType];
+  return {
+    mimeType: mimeType || contentType,
+    contentType,
+    ext: info.ext,
+    label: info.label
+  };
+}
+
+// Can this browser play the given format? ("maybe" counts as yes)
+export function canPlayFormat(mimeType) {
+  if (!mimeType) return true;
+  const probe = document.createElement("video");
+  if (probe.canPlayType(mimeType) !== "") return true;
+
+  // Some browsers answer "" for a codecs string but play the container fine
+  const base = mimeType.split(";")[0].trim();
+  return base !== mimeType ? probe.canPlayType(base) !== "" : false;
+}
 
 /* -------------------------------------------------------------- */
-/* Storage Choice (firebase | gdrive | local)                     */
+/* Storage Choice (firebase | gdrive | s3 | local)                */
 /* -------------------------------------------------------------- */
 export function getStorageChoice() {
   return localStorage.getItem(LS.STORE) || "firebase";
@@ -54,6 +262,7 @@ export function setStorageChoice(choice) {
 
   const sel = $("#storage-provider");
   if (sel) sel.value = choice;
+  updateQualityEstimate(); // Minutes left only apply to Firebase
 
   const pill = $("#account-pill");
   if (pill) pill.textContent = `Role: ${userDoc?.role || '...'} • Storage: ${choice}`;
@@ -65,6 +274,15 @@ export function setStorageChoice(choice) {
 export const $ = (s) => document.querySelector(s);
 export const $$ = (s) => Array.from(document.querySelectorAll(s));
 
+export function escapeHtml(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
 export function toast(msg, type = "info") {
   const container = $("#toast-container");
   if (container.children.length >= 3) {
@@ -140,6 +358,11 @@ export function updateRecordingUI(state) {
   
   $("#pause-rec-btn").disabled = !isRecording && !isPaused;
   $("#toggle-camera-btn").disabled = isRecording || isPaused;
+
+  ["#record-mode-select", "#camera-device-select", "#mic-device-select", "#quality-preset-select", "#timer-class-select"].forEach(sel => {
+    const el = $(sel);
+    if (el) el.disabled = isRecording || isPaused;
+  });
   
   const tagBtn = $("#tag-btn");
   if (tagBtn) {
@@ -199,6 +422,8 @@ export function updateUIAfterAuth(u, docData) {
   $("#storage-progress").style.width = `${percentUsed}%`;
   
   $("#low-storage-banner").classList.toggle("hidden", percentUsed < 90);
+
+  updateQualityEstimate();
 }
 
 // ================================
@@ -226,6 +451,10 @@ export function loadClassIntoEditor(classId) {
         // 📅 NEW: Load Year and Term (with safe defaults for old classes)
         $("#class-year").value = cls.academicYear || "2025-2026";
         $("#class-term").value = cls.term || "Full Year";
+  // ⏱️ Presentation timer
+  $("#class-target-minutes").value = cls.targetDuration ? cls.targetDuration / 60 : "";
+  $("#class-target-tolerance").value = cls.targetDuration ? (cls.durationTolerance ?? "") : "";
+  $("#class-target-warning").value = cls.targetDuration ? (cls.durationWarning ?? "") : "";
   // Show edit/delete controls when a class is selected
   const dangerZone = document.getElementById("class-danger-zone");
   if (dangerZone) dangerZone.classList.remove("hidden");
@@ -247,6 +476,9 @@ export function clearClassEditor() {
   // 📅 NEW: Reset Year and Term to defaults for new classes
   $("#class-year").value = "2025-2026";
   $("#class-term").value = "Full Year";
+  $("#class-target-minutes").value = "";
+  $("#class-target-tolerance").value = "";
+  $("#class-target-warning").value = "";
 
   // Focus for UX
   $("#class-title").focus();
@@ -286,6 +518,47 @@ export function refreshMetadataClassList() {
     addOpt.value = "__add__";
     addOpt.textContent = "➕ Add new class / event...";
     metaClassSelect.appendChild(addOpt);
+
+    refreshTimerClassList();
+}
+
+// ⏱️ Record-tab timer picker: only classes with a target duration
+export function refreshTimerClassList() {
+    const sel = $("#timer-class-select");
+    if (!sel) return;
+
+    const current = sel.value;
+    sel.innerHTML = '<option value="">No target</option>';
+
+    Object.values(classData || {})
+        .filter(c => !c.archived && c.targetDuration > 0)
+        .forEach(c => {
+            const opt = document.createElement("option");
+            opt.value = c.id;
+            opt.textContent = `${c.title || "Untitled"} (${formatDuration(c.targetDuration)}${c.durationTolerance ? ` ±${c.durationTolerance}s` : ""})`;
+            sel.appendChild(opt);
+        });
+
+    if ([...sel.options].some(o => o.value === current)) sel.value = current;
+}
+
+/**
+ * Colour band for elapsed time against a class target.
+ * green → amber at (target - warning) → red past (target + tolerance).
+ */
+export function getTimingState(elapsed, cls) {
+    const target = cls?.targetDuration;
+    if (!target) return null;
+
+    const tolerance = cls.durationTolerance || 0;
+    const warning = cls.durationWarning ?? 60;
+    const remaining = target - elapsed;
+
+    let level = "green";
+    if (elapsed > target + tolerance) level = "red";
+    else if (remaining <= warning) level = "amber";
+
+    return { target, tolerance, remaining, level, overtime: elapsed > target + tolerance };
 }
 
 /* -------------------------------------------------------------------------- */
@@ -450,13 +723,6 @@ export function setupGlobalErrorHandlers() {
   });
 }
 
-export function mockUpdateStorageUsage(bytes){
-  if (!userDoc) return;
-  userDoc.storageUsedBytes = bytes;
-  updateUIAfterAuth(currentUser, userDoc);
-  console.log(`Mock storage usage updated to ${(bytes / 1e9).toFixed(2)} GB`);
-}
-
 /* -------------------------------------------------------------------------- */
 /* PWA Service Worker Registration
 /* -------------------------------------------------------------------------- */
@@ -509,15 +775,115 @@ export async function registerSW() {
   }
 }
 
+/* -------------------------------------------------------------------------- */
+/* Text Download Helper (chapters, CSV)
+/* -------------------------------------------------------------------------- */
+export function downloadTextFile(text, filename, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Downloads text files as one uncompressed .zip (one download instead of
+ * many). files: [{ name, text }]; names may contain "/" for folders.
+ */
+export function downloadZip(files, filename) {
+  const enc = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, text }) => {
+    const nameBytes = enc.encode(name);
+    const data = enc.encode(text);
+    const crc = crc32(data);
+
+    // Local header (30 bytes) + name + data; flag 0x0800 = UTF-8 names, method 0 = stored
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true); // Remaining fields (extra, comment, disk, attrs) stay 0
+    central.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, p) => sum + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const url = URL.createObjectURL(new Blob([...parts, ...central, end], { type: "application/zip" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /* -------------------------------------------------------------------------- */
 /* Local / USB Storage Helper
 /* -------------------------------------------------------------------------- */
 export async function saveToLocalDevice(blob, filename) {
   try {
     if (window.showSaveFilePicker) {
+      const format = getContainerInfo(blob.type, filename);
       const handle = await window.showSaveFilePicker({
         suggestedName: filename,
-        types: [{ description: "Video File", accept: { "video/webm": [".webm"] } }]
+        types: [{ description: "Video File", accept: { [format.contentType]: [`.${format.ext}`] } }]
       });
       const writable = await handle.createWritable();
       await writable.write(blob);
@@ -546,12 +912,66 @@ export async function saveToLocalDevice(blob, filename) {
 /* SPLIT-SCREEN VIDEO PLAYER
 /* ========================================================================== */
 
+// ✂️ Playable range of a video doc: split-clip bounds win over trim
+export function getPlaybackBounds(video) {
+  if (!video) return { start: 0, end: null };
+  return {
+    start: video.segmentStart ?? video.trimStart ?? 0,
+    end: video.segmentEnd ?? video.trimEnd ?? null
+  };
+}
+
+// ✂️ Keeps the main player inside a video's trimStart/trimEnd
+let playerTrimHandler = null;
+
+export function setPlayerTrim(start = 0, end = null) {
+  const video = document.getElementById("main-player");
+  if (!video) return;
+
+  if (playerTrimHandler) {
+    video.removeEventListener("loadedmetadata", playerTrimHandler);
+    video.removeEventListener("timeupdate", playerTrimHandler);
+    video.removeEventListener("seeked", playerTrimHandler);
+    playerTrimHandler = null;
+  }
+  if (!start && end == null) return;
+
+  playerTrimHandler = (e) => {
+    if (e.type === "loadedmetadata") {
+      video.currentTime = start;
+      return;
+    }
+    // Seeking fires another timeupdate, so only pull back when clearly past
+    if (end != null && video.currentTime >= end) {
+      video.pause();
+      if (video.currentTime > end + 0.25) video.currentTime = end;
+    } else if (video.currentTime < start - 0.25) {
+      video.currentTime = start;
+    }
+  };
+
+  video.addEventListener("loadedmetadata", playerTrimHandler);
+  video.addEventListener("timeupdate", playerTrimHandler);
+  video.addEventListener("seeked", playerTrimHandler);
+  if (video.readyState >= 1) video.currentTime = start;
+}
+
+// Object URLs (local files, Drive without the service worker) pin the whole
+// file in memory until revoked, so the player owns the one it is showing
+let playerObjectUrl = null;
+
+function releasePlayerObjectUrl() {
+  if (playerObjectUrl) URL.revokeObjectURL(playerObjectUrl);
+  playerObjectUrl = null;
+}
+
 export function openVideoPlayer(url, title = "Video Playback") {
   const container = document.getElementById("player-screen");
   const video = document.getElementById("main-player");
   const titleEl = document.getElementById("player-title");
 
   if (!container || !video) return;
+  setPlayerTrim(); // Previous video's trim no longer applies
 
   try { video.pause(); } catch {}
   video.removeAttribute("src");
@@ -560,6 +980,8 @@ export function openVideoPlayer(url, title = "Video Playback") {
   video.autoplay = false;
   video.muted = false;
   video.playsInline = true;
+  releasePlayerObjectUrl();
+  if (String(url).startsWith("blob:")) playerObjectUrl = url;
   video.src = url;
 
   if (titleEl) titleEl.textContent = title;
@@ -571,12 +993,15 @@ export function openVideoPlayer(url, title = "Video Playback") {
 export function closeVideoPlayer() {
   const container = document.getElementById("player-screen");
   const video = document.getElementById("main-player");
+  setPlayerTrim();
+  Captions.setCaptionSource(null);
   if (video) {
     try { video.pause(); } catch {}
     video.removeAttribute("src");
     video.src = "";
     video.srcObject = null;
   }
+  releasePlayerObjectUrl();
   if (container) container.classList.add("hidden");
 }
 
@@ -619,7 +1044,7 @@ export function renderScoringUI({ rubric }) {
 /* ✅ COORDINATOR: Opens Video & Delegates Rendering
 /* ========================================================================== */
 
-export async function openScoringForVideo(videoId) {
+export async function openScoringForVideo(videoId, options = {}) {
   if (!db || !currentUser) {
     toast("Not signed in.", "error");
     return;
@@ -660,16 +1085,43 @@ export async function openScoringForVideo(videoId) {
     Rubrics.setActiveRubric(rubric.id, rubric);
 
     // ✅ PASS TAGS TO THE RENDERER
+    const bounds = getPlaybackBounds(video);
     const existingScores = {
       finalScores: video.finalScores || {},
       notes: video.rowNotes || {},
       tags: video.tags || [],  
-      duration: video.duration || 0
+      duration: video.mediaDuration || video.duration || 0, // Pins sit on the full media timeline
+      trimStart: bounds.start,
+      trimEnd: bounds.end,
+      scoreHistory: video.scoreHistory || [],
+      video // Marker exports name files after the student/class
     };
 
+    // 🎞️ Older docs have no mimeType; the storage path extension still tells the container
+    const format = getContainerInfo(video.mimeType, video.storagePath);
+
     // 4. Define Render Logic
     const launchPlayer = (url, titleSuffix = "") => {
         openVideoPlayer(url, `${video.participant}${titleSuffix}`);
+        setPlayerTrim(bounds.start, bounds.end);
+        Segments.setSegmentSource(video);
+        Captions.setCaptionSource(video);
+
+        // Library transcript hits open at the matching cue
+        const player = document.getElementById("main-player");
+        if (player && options.seekTo != null) {
+            player.addEventListener("loadedmetadata", () => { player.currentTime = options.seekTo; }, { once: true });
+        }
+
+        // canPlayType is only a guess, so wait for the element to actually fail
+        if (player) {
+            player.onerror = () => {
+                if (!player.getAttribute("src")) return;
+                toast(canPlayFormat(format.mimeType)
+                    ? `Playback failed: this browser can't decode ${format.label}.`
+                    : `This video is ${format.label}, which this browser can't play. Try another browser or download it.`, "error");
+            };
+        }
         
         // ✅ Render Buttons to the PLAYBACK ID (This is the key fix)
         if (Record.renderLiveScoringFromRubric) {
@@ -682,49 +1134,16 @@ export async function openScoringForVideo(videoId) {
         if (playerScreen) playerScreen.classList.remove("hidden");
     };
 
-    // 5. Handle Video Loading (Cloud vs Local)
-    if (video.downloadURL) {
-      // ✅ CLOUD
-      launchPlayer(video.downloadURL);
-    } else {
-      // ✅ LOCAL
-      toast("Select the local video file to play.", "info");
-      
-      try {
-        if (window.showOpenFilePicker) {
-           const [fileHandle] = await window.showOpenFilePicker({
-             types: [{ description: 'Video Files', accept: {'video/*': ['.webm', '.mp4', '.mov']} }],
-             multiple: false
-           });
-           const file = await fileHandle.getFile();
-           const objectUrl = URL.createObjectURL(file);
-           launchPlayer(objectUrl, " (Local)");
-        } else {
-           // Fallback for older browsers
-           let input = document.getElementById('hidden-file-input');
-           if (!input) {
-             input = document.createElement('input');
-             input.type = 'file';
-             input.id = 'hidden-file-input';
-             input.accept = 'video/*';
-             input.style.display = 'none';
-             document.body.appendChild(input);
-           }
-           input.onchange = (e) => {
-             const file = e.target.files[0];
-             if (file) {
-               const objectUrl = URL.createObjectURL(file);
-               launchPlayer(objectUrl, " (Local)");
-             }
-           };
-           input.click();
-        }
-      } catch (err) {
-        if (err.name !== 'AbortError') {
-            console.error("File picker error:", err);
-            toast("Failed to open local file.", "error");
-        }
-      }
+    // 5. Handle Video Loading (the provider knows where the file lives)
+    const provider = Storage.providerForVideo(video);
+    if (provider.playbackHint) toast(provider.playbackHint, "info");
+
+    try {
+      const url = await provider.getPlaybackUrl(video, { file: options.localFile });
+      if (url) launchPlayer(url, provider.id === "firebase" ? "" : ` (${provider.label})`);
+    } catch (err) {
+      console.error(`[Storage] ${provider.label} playback failed:`, err);
+      toast(`Could not load this video from ${provider.label}: ${Storage.storageErrorMessage(err)}`, "error");
     }
 
   } catch (e) {
@@ -0,0 +1,218 @@
+/* ========================================================================== */
+/* MODULE: uploads.js
+/* Floating panel for cloud uploads that are running right now.
+/* - Pause / resume / cancel act on the upload's task (see createUploadTask)
+/* - Speed is averaged over the last few seconds; ETA follows from it
+/* - Lives outside the tabs so recording can continue while it uploads
+/* ========================================================================== */
+
+import * as UI from "./ui.js";
+
+/* ========================================================================== */
+/* INTERNAL STATE
+/* ========================================================================== */
+
+const SPEED_WINDOW_MS = 5000;   // Rolling window for the transfer speed
+const DONE_LINGER_MS = 4000;    // Finished rows stay visible this long
+
+const jobs = new Map();         // id → job
+let nextJobId = 1;
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(0, Math.round(bytes / 1024))} KB`;
+}
+
+// Bytes per second over the rolling window (null until there's enough data)
+function speedOf(job) {
+  const now = Date.now();
+  job.samples = job.samples.filter(s => now - s.t <= SPEED_WINDOW_MS);
+  if (job.samples.length < 2) return null;
+
+  const first = job.samples[0];
+  const last = job.samples[job.samples.length - 1];
+  const secs = (last.t - first.t) / 1000;
+  return secs > 0 ? (last.bytes - first.bytes) / secs : null;
+}
+
+function statusLine(job) {
+  if (job.status === "paused") return "Paused";
+  if (job.status === "done") return "Uploaded ✓";
+  if (job.status === "canceled") return "Canceled";
+  if (job.status === "error") return "Waiting to retry — see the upload queue";
+
+  const speed = speedOf(job);
+  if (!speed) return "Starting...";
+  const eta = (job.total - job.bytes) / speed;
+  return `${formatBytes(speed)}/s · ${UI.formatDuration(Math.ceil(eta))} left`;
+}
+
+/* ========================================================================== */
+/* PUBLIC API
+/* ========================================================================== */
+
+/**
+ * Task object for uploads that send their own chunks (Firebase resumable,
+ * Drive), so this panel can pause / resume / cancel them. The uploader
+ * awaits waitIfPaused() between chunks and checks canceled. Tasks without
+ * canPause (e.g. a single-request S3 PUT) only get a Cancel button.
+ */
+export function createUploadTask() {
+  let resumeWaiter = null;
+  const task = {
+    paused: false,
+    canceled: false,
+    canPause: true,
+    pause() { task.paused = true; return true; },
+    resume() {
+      task.paused = false;
+      resumeWaiter?.();
+      resumeWaiter = null;
+      return true;
+    },
+    cancel() {
+      task.canceled = true;
+      task.resume();
+      return true;
+    },
+    waitIfPaused() {
+      return task.paused ? new Promise(r => { resumeWaiter = r; }) : Promise.resolve();
+    }
+  };
+  return task;
+}
+
+// Same shape as the Firebase SDK's cancel error, so callers check one code
+export function canceledError() {
+  const err = new Error("Upload canceled.");
+  err.code = "storage/canceled";
+  return err;
+}
+
+/**
+ * Registers an upload with the panel. Pass the returned onTask/onProgress
+ * through to uploadFile(), then call finish() with the outcome.
+ */
+export function trackUpload(label, total = 0) {
+  const job = {
+    id: nextJobId++,
+    label,
+    total,
+    bytes: 0,
+    task: null,
+    status: "uploading",
+    samples: []
+  };
+  jobs.set(job.id, job);
+  renderUploadsPanel();
+
+  return {
+    onTask: (task) => {
+      job.task = task;
+    },
+    onProgress: (pct, snap) => {
+      if (snap) {
+        job.bytes = snap.bytesTransferred;
+        job.total = snap.totalBytes || job.total;
+      } else {
+        job.bytes = (pct / 100) * job.total;
+      }
+      job.samples.push({ t: Date.now(), bytes: job.bytes });
+      if (job.status === "uploading") renderUploadsPanel();
+    },
+    finish: (status) => {
+      job.status = status;
+      job.task = null;
+      renderUploadsPanel();
+      setTimeout(() => {
+        jobs.delete(job.id);
+        renderUploadsPanel();
+      }, DONE_LINGER_MS);
+    }
+  };
+}
+
+export function pauseUpload(id) {
+  const job = jobs.get(id);
+  if (!job?.task || job.status !== "uploading") return;
+  if (job.task.pause()) {
+    job.status = "paused";
+    job.samples = [];
+    renderUploadsPanel();
+  }
+}
+
+export function resumeUpload(id) {
+  const job = jobs.get(id);
+  if (!job?.task || job.status !== "paused") return;
+  if (job.task.resume()) {
+    job.status = "uploading";
+    renderUploadsPanel();
+  }
+}
+
+export async function cancelUpload(id) {
+  const job = jobs.get(id);
+  if (!job?.task) return;
+  if (!await UI.showConfirm(
+    `Cancel the upload of <strong>${UI.escapeHtml(job.label)}</strong>? The recording will not be saved.`,
+    "Cancel Upload",
+    "Cancel Upload"
+  )) return;
+  job.task?.cancel(); // uploadFile rejects with storage/canceled; the caller cleans up
+}
+
+export function hasActiveUploads() {
+  return [...jobs.values()].some(j => j.status === "uploading" || j.status === "paused");
+}
+
+/* ========================================================================== */
+/* RENDERERS
+/* ========================================================================== */
+
+export function renderUploadsPanel() {
+  const panel = UI.$("#upload-manager");
+  const list = UI.$("#upload-manager-list");
+  if (!panel || !list) return;
+
+  panel.classList.toggle("hidden", jobs.size === 0);
+  list.innerHTML = "";
+
+  jobs.forEach(job => {
+    const pct = job.total ? Math.min(100, (job.bytes / job.total) * 100) : 0;
+    const live = job.status === "uploading" || job.status === "paused";
+
+    const row = document.createElement("div");
+    row.className = "space-y-1";
+    row.innerHTML = `
+      <div class="flex items-center gap-2">
+        <span class="flex-1 min-w-0 truncate text-xs font-semibold text-white">${UI.escapeHtml(job.label)}</span>
+        ${live && job.task?.canPause ? `
+          <button type="button" class="upload-toggle w-6 h-6 rounded bg-white/10 hover:bg-white/20 text-xs" title="${job.status === "paused" ? "Resume" : "Pause"}">${job.status === "paused" ? "▶" : "⏸"}</button>
+        ` : ""}
+        ${live && job.task ? `
+          <button type="button" class="upload-cancel w-6 h-6 rounded bg-white/5 hover:bg-red-500/30 text-xs text-gray-300" title="Cancel">✕</button>
+        ` : ""}
+      </div>
+      <div class="w-full h-1.5 rounded bg-white/10 overflow-hidden">
+        <div class="h-full ${job.status === "paused" ? "bg-amber-400" : job.status === "error" || job.status === "canceled" ? "bg-red-500" : "bg-[#0033A0]"} transition-all duration-300" style="width: ${pct}%"></div>
+      </div>
+      <div class="flex justify-between text-[10px] text-gray-400">
+        <span>${formatBytes(job.bytes)} / ${formatBytes(job.total)}</span>
+        <span>${statusLine(job)}</span>
+      </div>
+    `;
+
+    const toggle = row.querySelector(".upload-toggle");
+    if (toggle) toggle.onclick = () => (job.status === "paused" ? resumeUpload(job.id) : pauseUpload(job.id));
+
+    const cancel = row.querySelector(".upload-cancel");
+    if (cancel) cancel.onclick = () => cancelUpload(job.id);
+
+    list.appendChild(row);
+  });
+}
@@ -0,0 +1,191 @@
+/* ========================================================================== */
+/* TOOL: drive-stub.mjs
+/* In-memory stand-in for the Google Drive endpoints drive.js uses, so the
+/* gdrive provider can be exercised without a Google account.
+/*   node tools/drive-stub.mjs [port]        (default 8787)
+/* then in the app's console:
+/*   localStorage.setItem("sc/driveApiBase", "http://localhost:8787")
+/* - files list (q: name / parent) and folder create
+/* - resumable upload: session start, 308 + Range per chunk, "bytes *" probe
+/* - alt=media with Range, delete, about (storageQuota)
+/* - Nothing persists; restart to start clean
+/* ========================================================================== */
+
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+
+const PORT = Number(process.argv[2]) || 8787;
+const QUOTA_BYTES = 15 * 1024 ** 3;
+
+const files = new Map();      // id → { id, name, mimeType, parents, data: Buffer }
+const sessions = new Map();   // id → { meta, total, chunks: Buffer[], received }
+
+/* ========================================================================== */
+/* HELPERS
+/* ========================================================================== */
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, Content-Range, Range, X-Upload-Content-Type, X-Upload-Content-Length",
+  "Access-Control-Expose-Headers": "Location, Range, Content-Range, Content-Length, Accept-Ranges"
+};
+
+function send(res, status, body = "", headers = {}) {
+  const isJson = body && typeof body === "object" && !Buffer.isBuffer(body);
+  res.writeHead(status, {
+    ...CORS,
+    ...(isJson ? { "Content-Type": "application/json; charset=UTF-8" } : {}),
+    ...headers
+  });
+  res.end(isJson ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    req.on("data", (c) => parts.push(c));
+    req.on("end", () => resolve(Buffer.concat(parts)));
+    req.on("error", reject);
+  });
+}
+
+function publicFile({ data, ...meta }) {
+  return { ...meta, size: String(data.length) };
+}
+
+// Only the clauses drive.js sends: name = '…', mimeType = '…', '…' in parents
+function matchesQuery(file, q) {
+  if (!q) return true;
+  const unquote = (s) => s.replace(/\\(.)/g, "$1");
+  const name = /name = '((?:\\.|[^'])*)'/.exec(q);
+  const mime = /mimeType = '((?:\\.|[^'])*)'/.exec(q);
+  const parent = /'((?:\\.|[^'])*)' in parents/.exec(q);
+  if (name && file.name !== unquote(name[1])) return false;
+  if (mime && file.mimeType !== unquote(mime[1])) return false;
+  if (parent && !file.parents.includes(unquote(parent[1]))) return false;
+  return true;
+}
+
+function usedBytes() {
+  let total = 0;
+  for (const f of files.values()) total += f.data.length;
+  return total;
+}
+
+/* ========================================================================== */
+/* ROUTES
+/* ========================================================================== */
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname;
+
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (!path.startsWith("/upload/session/") && !req.headers.authorization) {
+    return send(res, 401, { error: { code: 401, message: "Missing token" } });
+  }
+
+  // About: storage quota
+  if (req.method === "GET" && path === "/drive/v3/about") {
+    return send(res, 200, { storageQuota: { usage: String(usedBytes()), limit: String(QUOTA_BYTES) } });
+  }
+
+  // Files list / folder create
+  if (path === "/drive/v3/files") {
+    if (req.method === "GET") {
+      const pageSize = Number(url.searchParams.get("pageSize")) || 100;
+      const list = [...files.values()].filter(f => matchesQuery(f, url.searchParams.get("q")));
+      return send(res, 200, { files: list.slice(0, pageSize).map(publicFile) });
+    }
+    if (req.method === "POST") {
+      const meta = JSON.parse((await readBody(req)).toString() || "{}");
+      const file = { id: randomUUID(), name: meta.name, mimeType: meta.mimeType, parents: meta.parents || ["root"], data: Buffer.alloc(0) };
+      files.set(file.id, file);
+      return send(res, 200, { id: file.id });
+    }
+  }
+
+  // Single file: media (with Range) or delete
+  const fileMatch = /^\/drive\/v3\/files\/([^/]+)$/.exec(path);
+  if (fileMatch) {
+    const file = files.get(decodeURIComponent(fileMatch[1]));
+    if (!file) return send(res, 404, { error: { code: 404, message: "File not found" } });
+
+    if (req.method === "DELETE") {
+      files.delete(file.id);
+      return send(res, 204);
+    }
+    if (req.method === "GET" && url.searchParams.get("alt") === "media") {
+      const size = file.data.length;
+      const range = /bytes=(\d*)-(\d*)/.exec(req.headers.range || "");
+      const type = { "Content-Type": file.mimeType || "application/octet-stream", "Accept-Ranges": "bytes" };
+      if (!range) return send(res, 200, file.data, { ...type, "Content-Length": size });
+
+      let start = range[1] ? Number(range[1]) : size - Number(range[2]);
+      let end = range[1] && range[2] ? Number(range[2]) : size - 1;
+      start = Math.max(0, start);
+      end = Math.min(end, size - 1);
+      if (start > end) return send(res, 416, "", { "Content-Range": `bytes */${size}` });
+      return send(res, 206, file.data.subarray(start, end + 1), {
+        ...type,
+        "Content-Length": end - start + 1,
+        "Content-Range": `bytes ${start}-${end}/${size}`
+      });
+    }
+    if (req.method === "GET") return send(res, 200, publicFile(file));
+  }
+
+  // Resumable upload: start a session
+  if (req.method === "POST" && path === "/upload/drive/v3/files" && url.searchParams.get("uploadType") === "resumable") {
+    const meta = JSON.parse((await readBody(req)).toString() || "{}");
+    const id = randomUUID();
+    sessions.set(id, { meta, total: Number(req.headers["x-upload-content-length"]) || null, chunks: [], received: 0 });
+    return send(res, 200, "", { Location: `http://localhost:${PORT}/upload/session/${id}` });
+  }
+
+  // Resumable upload: chunks, "bytes */total" probes and cancel
+  const sessionMatch = /^\/upload\/session\/([^/]+)$/.exec(path);
+  if (sessionMatch) {
+    const id = sessionMatch[1];
+    const session = sessions.get(id);
+    if (!session) return send(res, 404, { error: { code: 404, message: "Upload session not found" } });
+
+    if (req.method === "DELETE") {
+      sessions.delete(id);
+      return send(res, 499);
+    }
+
+    const body = await readBody(req);
+    const range = /bytes (\d+)-(\d+)\/(\d+|\*)|bytes \*\/(\d+)/.exec(req.headers["content-range"] || "");
+    if (!range) return send(res, 400, { error: { code: 400, message: "Bad Content-Range" } });
+
+    if (range[4] == null) {
+      const start = Number(range[1]);
+      if (start !== session.received) {
+        return send(res, 308, "", session.received ? { Range: `bytes=0-${session.received - 1}` } : {});
+      }
+      session.chunks.push(body);
+      session.received += body.length;
+      if (range[3] !== "*") session.total = Number(range[3]);
+    }
+
+    if (session.total != null && session.received >= session.total) {
+      const { meta } = session;
+      const file = { id: randomUUID(), name: meta.name, mimeType: meta.mimeType, parents: meta.parents || ["root"], data: Buffer.concat(session.chunks) };
+      files.set(file.id, file);
+      sessions.delete(id);
+      return send(res, 200, { id: file.id, name: file.name });
+    }
+    return send(res, 308, "", session.received ? { Range: `bytes=0-${session.received - 1}` } : {});
+  }
+
+  send(res, 404, { error: { code: 404, message: `No stub for ${req.method} ${path}` } });
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch((err) => {
+    console.error("[drive-stub]", err);
+    send(res, 500, { error: { code: 500, message: err.message } });
+  });
+}).listen(PORT, () => console.log(`[drive-stub] Listening on http://localhost:${PORT}`));